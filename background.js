@@ -1,17 +1,51 @@
 // Background service worker for HFF Library Availability Extension
 
-// Cache for search results (persists during extension lifetime)
-const searchCache = new Map();
+importScripts('settings.js', 'catalog_index.js', 'catalog_store.js', 'result_cache.js', 'match_overrides.js', 'title_matcher.js', 'webopac_parser.js');
+
+// User settings (see settings.js). Lookup mode: 'live' searches the HFF WebOPAC,
+// 'offline' resolves against the bundled catalog index, 'hybrid' tries the index first
+// and searches the WebOPAC only when it has no confident match
+let settings = { ...DEFAULT_SETTINGS };
+const settingsReady = loadSettings().then(applySettings);
+
+// Catalog index (loaded lazily on first offline lookup) - an imported update if there is one
+// (see catalog_store.js), else the bundled index. catalogIndexInfo says which.
+let catalogIndex = null;
+let catalogIndexInfo = null;
+let catalogIndexPromise = null;
 
 // Session management
 let sessionInitialized = false;
 let sessionInitPromise = null;
 
-// Request throttling - limit concurrent requests
-const MAX_CONCURRENT_REQUESTS = 8;
+// Offscreen document that parses WebOPAC pages with a real DOM (see offscreen.js)
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+let offscreenDocumentPromise = null;
+
+// Alternative records offered for re-linking a film
+const MAX_CANDIDATES = 5;
+
+// Request throttling - limit concurrent requests (settings.maxConcurrentRequests)
 let activeRequests = 0;
 const requestQueue = [];
 
+/**
+ * Apply loaded or changed settings
+ * @param {Object} changes - Settings to apply
+ */
+function applySettings(changes) {
+  settings = { ...settings, ...changes };
+  configureResultCache({
+    notFoundTtl: settings.notFoundTtlDays * 24 * 60 * 60 * 1000,
+    statusTtl: settings.statusTtlHours * 60 * 60 * 1000
+  });
+  
+  // A higher concurrency limit can start queued requests right away
+  while (activeRequests < settings.maxConcurrentRequests && requestQueue.length > 0) {
+    requestQueue.shift()();
+  }
+}
+
 /**
  * Initialize a session with HFF WebOPAC
  * Must be called before making search requests
@@ -61,45 +95,396 @@ async function ensureSession() {
   return sessionInitPromise;
 }
 
+/**
+ * Load the active catalog index once per service worker lifetime
+ * @returns {Promise<Object>} - Catalog index
+ */
+async function ensureCatalogIndex() {
+  if (catalogIndex) {
+    return catalogIndex;
+  }
+
+  if (!catalogIndexPromise) {
+    const loadPromise = loadActiveCatalogIndex()
+      .then(({ index, origin, importedAt, fileName }) => {
+        console.log(`📚 Loaded ${origin} catalog index ${index.version} (${index.records.length} records)`);
+        // Dropped if the index was replaced while loading
+        if (catalogIndexPromise === loadPromise) {
+          catalogIndex = index;
+          catalogIndexInfo = { origin, importedAt, fileName };
+        }
+        return index;
+      })
+      .finally(() => {
+        if (catalogIndexPromise === loadPromise) {
+          catalogIndexPromise = null;
+        }
+      });
+    catalogIndexPromise = loadPromise;
+  }
+
+  return catalogIndexPromise;
+}
+
+/**
+ * Describe the active catalog index for the popup and options page
+ * @returns {Promise<Object>} - { version, builtAt, records, source, origin, importedAt, fileName }
+ */
+async function getCatalogIndexInfo() {
+  const index = await ensureCatalogIndex();
+  return {
+    version: index.version,
+    builtAt: index.builtAt,
+    records: index.records.length,
+    source: index.source,
+    ...catalogIndexInfo
+  };
+}
+
+/**
+ * Forget the loaded index after an import or rollback, so the next lookup loads the new one
+ */
+function resetCatalogIndex() {
+  catalogIndex = null;
+  catalogIndexInfo = null;
+  catalogIndexPromise = null;
+
+  // Cached results were resolved against the old index
+  clearResultCache();
+}
+
+/**
+ * Resolve a film against the bundled catalog index instead of the live WebOPAC
+ * @param {string} title - Film title to look up
+ * @param {string} year - Film year (optional)
+ * @param {Object} matchOptions - { excludeBvids, directors } (optional)
+ * @returns {Promise<Object>} - Search result object (same shape as live results)
+ */
+async function searchOffline(title, year, matchOptions = {}) {
+  const { excludeBvids = [], directors = [] } = matchOptions;
+  const index = await ensureCatalogIndex();
+  
+  // A record whose director doesn't match is vetoed - try the next one filed under the title
+  const vetoed = [];
+  let firstVetoed = null;
+  let match = lookupCatalogIndex(index, title, year, excludeBvids);
+  let directorMatch = match ? compareDirectors(directors, match.record.directors) : 'unknown';
+  while (match && directorMatch === 'mismatch') {
+    console.log(`🎬 Director mismatch vetoes ${match.record.title} (${match.record.bvid})`);
+    vetoed.push(match.record.bvid);
+    firstVetoed = firstVetoed || match;
+    match = lookupCatalogIndex(index, title, year, [...excludeBvids, ...vetoed]);
+    directorMatch = match ? compareDirectors(directors, match.record.directors) : 'unknown';
+  }
+  
+  const candidates = listCatalogCandidates(index, title, excludeBvids)
+    .filter(record => !match || record.bvid !== match.record.bvid)
+    .slice(0, MAX_CANDIDATES)
+    .map(record => ({ title: record.title, year: record.year, bvid: record.bvid, link: record.permalink, matchScore: null }));
+
+  if (!match) {
+    console.log(`❌ "${title}" not found in catalog index`);
+    const result = { available: false };
+    // The title did match - show it as a possible match the user can confirm, not as not held
+    if (firstVetoed) {
+      Object.assign(result, {
+        weakMatch: true,
+        note: 'Title matched but the director did not',
+        closestTitle: firstVetoed.record.title,
+        closestScore: firstVetoed.matchScore
+      });
+    }
+    if (candidates.length > 0) result.candidates = candidates;
+    return result;
+  }
+
+  console.log(`✅ Catalog index match for "${title}": ${match.record.title} (${match.record.bvid})`);
+  return {
+    available: true,
+    link: match.record.permalink,
+    title: match.record.title,
+    matchScore: match.matchScore,
+    matchedVariant: match.variant,
+    directorMatch: directorMatch,
+    yearMatch: compareYears(year, match.record),
+    bvid: match.record.bvid,
+    callNumber: match.record.callNumber,
+    year: match.record.year,
+    productionYear: match.record.productionYear,
+    mediaType: match.record.mediaType,
+    candidates: candidates
+  };
+}
+
+/**
+ * Resolve a film by its TMDb/IMDb id against the catalog index
+ * @param {Object} ids - { tmdbId, imdbId } from the Letterboxd page
+ * @param {string[]} excludeBvids - Records the user rejected for this film (optional)
+ * @returns {Promise<Object|null>} - Search result object, or null if no record carries the id
+ */
+async function searchById(ids, excludeBvids = []) {
+  if (!ids || (!ids.tmdbId && !ids.imdbId)) {
+    return null;
+  }
+
+  try {
+    const index = await ensureCatalogIndex();
+    const match = lookupCatalogIndexById(index, ids);
+    if (!match || excludeBvids.includes(match.record.bvid)) {
+      return null;
+    }
+
+    console.log(`🆔 ${match.matchedBy} id match: ${match.record.title} (${match.record.bvid})`);
+    return {
+      available: true,
+      link: match.record.permalink,
+      title: match.record.title,
+      matchScore: match.matchScore,
+      matchedBy: match.matchedBy,
+      bvid: match.record.bvid,
+      callNumber: match.record.callNumber,
+      year: match.record.year,
+      mediaType: match.record.mediaType
+    };
+  } catch (error) {
+    console.error('❌ Error resolving film by id:', error);
+    return null;
+  }
+}
+
 /**
  * Search for a film in the HFF library
  * @param {string} title - Film title to search for
  * @param {string} year - Film year (optional)
+ * @param {Object} ids - { tmdbId, imdbId } from the Letterboxd page (optional)
+ * @param {string} slug - Letterboxd film slug, the key of manual match overrides (optional)
+ * @param {string[]} directors - Directors listed on Letterboxd (optional)
+ * @param {string} originalTitle - Original title listed on Letterboxd, tried as an alternate query (optional)
  * @returns {Promise<Object>} - Search result object
  */
-async function searchFilm(title, year) {
+async function searchFilm(title, year, ids = {}, slug = null, directors = [], originalTitle = null) {
   try {
-    // Check cache first
-    const cacheKey = `${title.toLowerCase()}_${year || 'no-year'}`;
-    if (searchCache.has(cacheKey)) {
+    await settingsReady;
+    
+    // Manual overrides come before any matching (see match_overrides.js)
+    const override = await getMatchOverride(slug);
+    const excludeBvids = override ? override.rejected.map(rejected => rejected.bvid) : [];
+    
+    // Check cache first (persisted in chrome.storage.local, see result_cache.js)
+    let cacheKey = `${title.toLowerCase()}_${year || 'no-year'}`;
+    if (override && override.bvid) {
+      cacheKey = `bvid_${override.bvid}`;
+    } else {
+      // Remakes and namesakes share title and year - the ids tell them apart
+      if (ids.tmdbId || ids.imdbId) cacheKey += `_ids_${ids.tmdbId || ''}+${ids.imdbId || ''}`;
+      if (excludeBvids.length > 0) cacheKey += `_without_${excludeBvids.join('+')}`;
+      if (directors.length > 0) cacheKey += `_by_${directors.map(normalizePersonName).sort().join('+')}`;
+    }
+    
+    // A pinned record shows how it was pinned, even if the latest verdict rejected another record
+    const verdict = override ? getPinnedVerdict(override) || override.verdict : null;
+    
+    const cached = await getCachedResult(cacheKey);
+    if (cached) {
       console.log('🔄 Returning cached result for:', title);
-      return searchCache.get(cacheKey);
+      return verdict ? { ...cached, override: verdict } : cached;
     }
 
-    console.log(`🔍 Starting search for: "${title}" ${year ? `(${year})` : ''}`);
+    // result.source tells which lookup answered: 'override', 'offline' or 'live'
+    const result = override && override.bvid
+      ? { ...(await searchPinnedRecord(override)), source: 'override' }
+      : await lookupFilm(title, year, ids, { excludeBvids, directors, originalTitle });
+    await setCachedResult(cacheKey, result);
+    return verdict ? { ...result, override: verdict } : result;
+  } catch (error) {
+    console.error('❌ Error searching for film:', error);
+    return { available: false, error: error.message };
+  }
+}
+
+/**
+ * Resolve a film by id, then by title in the configured lookup mode (uncached)
+ * @param {string} title - Film title to search for
+ * @param {string} year - Film year (optional)
+ * @param {Object} ids - { tmdbId, imdbId } from the Letterboxd page (optional)
+ * @param {Object} matchOptions - { excludeBvids, directors, originalTitle } (optional)
+ * @returns {Promise<Object>} - Search result object
+ */
+async function lookupFilm(title, year, ids, matchOptions = {}) {
+  // Identity match by TMDb/IMDb id first - title similarity is only a fallback.
+  // In live mode the index only identifies the record; its copy status comes from the WebOPAC.
+  const idResult = await searchById(ids, matchOptions.excludeBvids);
+  if (idResult) {
+    if (settings.lookupMode === 'live') {
+      return { ...(await refreshLiveStatus(idResult)), source: 'live' };
+    }
+    return refreshOfflineHit({ ...idResult, source: 'offline' });
+  }
+
+  if (settings.lookupMode === 'offline') {
+    return { ...(await searchOffline(title, year, matchOptions)), source: 'offline' };
+  }
+
+  // Hybrid: the index answers when it's confident, the WebOPAC covers acquisitions made since the scrape
+  if (settings.lookupMode === 'hybrid') {
+    const offlineResult = await searchOffline(title, year, matchOptions)
+      .catch(error => ({ available: false, error: error.message }));
+    if (isConfidentCatalogMatch(offlineResult, settings.hybridMinScore)) {
+      return refreshOfflineHit({ ...offlineResult, source: 'offline' });
+    }
+    console.log(`🌐 No confident catalog index match for "${title}", searching live`);
+  }
+
+  console.log(`🔍 Starting search for: "${title}" ${year ? `(${year})` : ''}`);
+
+  // Ensure we have a valid session
+  await ensureSession();
+  
+  return { ...(await searchLive(title, year, matchOptions)), source: 'live' };
+}
 
-    // Ensure we have a valid session
-    await ensureSession();
+/**
+ * In hybrid mode, optionally add live copy status to a catalog index hit
+ * @param {Object} result - Search result resolved from the index
+ * @returns {Promise<Object>} - Search result object
+ */
+async function refreshOfflineHit(result) {
+  if (settings.lookupMode !== 'hybrid' || !settings.refreshOfflineStatus) {
+    return result;
+  }
+  return refreshLiveStatus(result);
+}
 
-    // Prepare search parameters - include year if available to narrow results
-    const searchString = year ? `${title} ${year}` : title;
-    const encodedSearch = encodeURIComponent(searchString.trim());
+/**
+ * Search the WebOPAC, retrying alternate queries while nothing matches
+ * Hits of all queries are merged and scored together, so a record only a later query finds
+ * still competes with the earlier hits. settings.maxQueriesPerLookup caps the searches.
+ * @param {string} title - Film title to search for
+ * @param {string} year - Film year (optional)
+ * @param {Object} matchOptions - { excludeBvids, directors, originalTitle } (optional)
+ * @returns {Promise<Object>} - Search result object
+ */
+async function searchLive(title, year, matchOptions = {}) {
+  const queries = buildQueryVariants(title, year, matchOptions.originalTitle).slice(0, settings.maxQueriesPerLookup);
+  const hits = [];
+  let result = { available: false };
+  
+  // Title variants and directors of hits come from the catalog index - live search works without it
+  await ensureCatalogIndex().catch(error => console.warn('⚠️ Catalog index unavailable, matching hit titles only:', error.message));
+  
+  for (const [i, { kind, query }] of queries.entries()) {
+    if (i > 0) {
+      console.log(`🔁 No match yet, retrying with ${kind} query: "${query}"`);
+    }
     
     // Perform the search with retry on session expired
-    let result = await performSearch(searchString, encodedSearch, title, year);
+    let page = await performSearch(query);
     
     // If we got a session expired error, reinitialize and retry once
-    if (result.error === 'Session expired') {
+    if (page.error === 'Session expired') {
       console.log('🔄 Session expired, reinitializing and retrying...');
       sessionInitialized = false;
       await ensureSession();
-      result = await performSearch(searchString, encodedSearch, title, year);
+      page = await performSearch(query);
+    }
+    
+    // A failed retry leaves the lookup incomplete - report the error so the partial
+    // "not found" isn't cached (see getResultTtl)
+    if (page.error) {
+      return { ...result, available: false, error: page.error };
     }
     
+    mergeSearchHits(hits, page.hits);
+    result = scoreSearchHits(hits, title, { ...matchOptions, year });
+    if (result.available || result.error) {
+      break;
+    }
+  }
+  
+  // Fetch per-copy status for the matched record through its permalink. The hit's curPos link
+  // is bound to the session's current hit list, which concurrent lookups and retried queries
+  // replace before it is fetched - it would then open another film's record.
+  // Without a bvid the hit list's row status is all we have.
+  if (result.available && result.bvid) {
+    await waitForRequestSlot();
+    try {
+      await delay(settings.requestDelay);
+      const status = await fetchRecordAvailability(buildPermalink(result.bvid));
+      Object.assign(result, status, { mediaType: status.mediaType || result.mediaType });
+    } finally {
+      releaseRequestSlot();
+    }
+  }
+  
+  console.log('📋 Final result for', title, ':', JSON.stringify(result));
+  return result;
+}
+
+/**
+ * Add hits of another query to the merged hit list, skipping records already on it
+ * @param {Object[]} hits - Merged hits (modified in place)
+ * @param {Object[]} newHits - Hits of the latest query
+ */
+function mergeSearchHits(hits, newHits) {
+  const hitKey = hit => hit.bvid || hit.title.toLowerCase();
+  const seen = new Set(hits.map(hitKey));
+  
+  for (const hit of newHits) {
+    if (seen.has(hitKey(hit))) continue;
+    seen.add(hitKey(hit));
+    hits.push(hit);
+  }
+}
+
+/**
+ * Resolve a film the user pinned to a specific HFF record
+ * @param {Object} override - Match override with a pinned bvid
+ * @returns {Promise<Object>} - Search result object
+ */
+async function searchPinnedRecord(override) {
+  const index = await ensureCatalogIndex().catch(() => null);
+  const record = index ? lookupCatalogIndexByBvid(index, override.bvid) : null;
+  
+  console.log(`📌 Using pinned record ${override.bvid} (${getPinnedVerdict(override)})`);
+  const result = {
+    available: true,
+    availability: 'unknown',
+    link: buildPermalink(override.bvid),
+    title: record ? record.title : override.hffTitle,
+    matchScore: override.matchScore,
+    bvid: override.bvid,
+    callNumber: record ? record.callNumber : null,
+    year: record ? record.year : null,
+    mediaType: record ? record.mediaType : null
+  };
+  
+  if (settings.lookupMode === 'offline') {
     return result;
-  } catch (error) {
-    console.error('❌ Error searching for film:', error);
-    return { available: false, error: error.message };
+  }
+  
+  return refreshLiveStatus(result);
+}
+
+/**
+ * Add live copy status to a result that wasn't found by a WebOPAC search
+ * The permalink opens the record's detail view, which has the copies table.
+ * @param {Object} result - Search result with a permalink
+ * @returns {Promise<Object>} - Search result object
+ */
+async function refreshLiveStatus(result) {
+  await ensureSession();
+  await waitForRequestSlot();
+  try {
+    await delay(settings.requestDelay);
+    const status = await fetchRecordAvailability(result.link);
+    return {
+      ...result,
+      ...status,
+      callNumber: status.callNumber || result.callNumber,
+      mediaType: status.mediaType || result.mediaType
+    };
+  } finally {
+    releaseRequestSlot();
   }
 }
 
@@ -109,7 +494,7 @@ async function searchFilm(title, year) {
 async function waitForRequestSlot() {
   return new Promise((resolve) => {
     const tryAcquire = () => {
-      if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+      if (activeRequests < settings.maxConcurrentRequests) {
         activeRequests++;
         resolve();
       } else {
@@ -140,16 +525,18 @@ function releaseRequestSlot() {
 
 /**
  * Perform the actual search request
+ * @param {string} searchString - WebOPAC query
+ * @returns {Promise<Object>} - { hits } or { error }
  */
-async function performSearch(searchString, encodedSearch, title, year) {
+async function performSearch(searchString) {
   // Wait for available slot to avoid overwhelming the server
   await waitForRequestSlot();
   
-  // Small delay between requests (100ms) to be nice to the HFF server
-  await delay(100);
+  // Small delay between requests to be nice to the HFF server
+  await delay(settings.requestDelay);
   
   try {
-    return await performSearchInternal(searchString, encodedSearch, title, year);
+    return await performSearchInternal(searchString);
   } finally {
     releaseRequestSlot();
   }
@@ -158,8 +545,9 @@ async function performSearch(searchString, encodedSearch, title, year) {
 /**
  * Internal search function (called after acquiring request slot)
  */
-async function performSearchInternal(searchString, encodedSearch, title, year) {
+async function performSearchInternal(searchString) {
   // Build simple search URL
+  const encodedSearch = encodeURIComponent(searchString.trim());
   const searchUrl = `https://webopac.hff-muc.de/webOPACClient.hffsis/search.do?methodToCall=submit&methodToCallParameter=submitSearch&searchCategories%5B0%5D=-1&searchString%5B0%5D=${encodedSearch}`;
   
   console.log('🔍 Search URL:', searchUrl);
@@ -202,14 +590,7 @@ async function performSearchInternal(searchString, encodedSearch, title, year) {
     
     // Parse the search results
     console.log('🔍 Parsing search results...');
-    const result = parseSearchResults(html, title);
-    
-    // Cache the result
-    const cacheKey = `${title.toLowerCase()}_${year || 'no-year'}`;
-    searchCache.set(cacheKey, result);
-    
-    console.log('📋 Final result for', title, ':', JSON.stringify(result));
-    return result;
+    return { hits: await extractSearchHits(html) };
   } catch (error) {
     console.error('❌ Fetch error:', error.message);
     console.error('❌ Error stack:', error.stack);
@@ -218,232 +599,214 @@ async function performSearchInternal(searchString, encodedSearch, title, year) {
 }
 
 /**
- * Parse search results from HTML response using regex (service workers don't have DOM access)
- * @param {string} html - HTML content from search
- * @param {string} searchTitle - Original search title
- * @returns {Object} - Parsed result object
+ * Create the offscreen parsing document unless it's already open
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  if (!chrome.offscreen) {
+    throw new Error('Offscreen documents are not supported');
+  }
+  
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = (async () => {
+      // The document outlives a suspended service worker
+      const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+      if (contexts.length === 0) {
+        await chrome.offscreen.createDocument({
+          url: OFFSCREEN_DOCUMENT_PATH,
+          reasons: ['DOM_PARSER'],
+          justification: 'Parse HFF WebOPAC hit lists and detail views'
+        });
+      }
+    })().catch(error => {
+      offscreenDocumentPromise = null;
+      throw error;
+    });
+  }
+  
+  return offscreenDocumentPromise;
+}
+
+/**
+ * Parse a WebOPAC page in the offscreen document, falling back to the regex parser
+ * @param {string} kind - 'hitList' | 'copies'
+ * @param {string} html - Page HTML
+ * @returns {Promise<Object[]>} - Hits (parseHitList) or copies (parseCopiesTable)
  */
-function parseSearchResults(html, searchTitle) {
+async function parseWebopacHtml(kind, html) {
   try {
-    console.log(`🔍 Parsing results for: "${searchTitle}"`);
-    console.log(`📄 HTML response length: ${html.length} chars`);
-    
-    const searchTitleLower = searchTitle.toLowerCase();
-    
-    // Check if we got any results at all (look for result count)
-    const resultCountMatch = html.match(/lokale Datenbank\s*\((\d+)\)/i);
-    if (resultCountMatch) {
-      console.log(`📊 Found ${resultCountMatch[1]} results in database`);
-    } else {
-      console.log('⚠️ Could not find result count - might be no results or different format');
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'PARSE_WEBOPAC', kind: kind, html: html });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response from offscreen document');
     }
-    
-    // Multiple patterns to try for finding title links
-    const patterns = [
-      // Pattern 1: Links with title="zur Vollanzeige" (original pattern)
-      /<a[^>]*title="zur Vollanzeige"[^>]*href="([^"]*)"[^>]*>([^<]+)<\/a>/gi,
-      // Pattern 2: Links with href containing singleHit.do (detail page links)
-      /<a[^>]*href="([^"]*singleHit\.do[^"]*)"[^>]*>([^<]+)<\/a>/gi,
-      // Pattern 3: Links with class containing "title" or inside title divs
-      /<a[^>]*href="([^"]*showHit[^"]*)"[^>]*>([^<]+)<\/a>/gi,
-      // Pattern 4: Any links within result table rows
-      /<td[^>]*class="[^"]*resultTitle[^"]*"[^>]*>.*?<a[^>]*href="([^"]*)"[^>]*>([^<]+)<\/a>/gi,
-    ];
-    
-    let allMatches = [];
-    
-    for (let i = 0; i < patterns.length; i++) {
-      const matches = [...html.matchAll(patterns[i])];
-      if (matches.length > 0) {
-        console.log(`📋 Pattern ${i + 1} found ${matches.length} links`);
-        allMatches = allMatches.concat(matches.map(m => ({ href: m[1], text: m[2].trim() })));
+    return response.result;
+  } catch (error) {
+    console.warn('⚠️ Offscreen parsing failed, using regex parser:', error.message);
+    return kind === 'copies' ? parseCopiesTable(html) : parseHitList(html);
+  }
+}
+
+/**
+ * Extract the hits of a WebOPAC hit list
+ * @param {string} html - HTML content from search
+ * @returns {Promise<Object[]>} - Hits from parseHitList(), DVD/Blu-ray only unless disabled in settings
+ * @throws {Error} - If the page can't be parsed; the search fails rather than reporting no hits
+ */
+async function extractSearchHits(html) {
+  console.log(`📄 HTML response length: ${html.length} chars`);
+  
+  // Check if we got any results at all (look for result count)
+  const resultCountMatch = html.match(/lokale Datenbank\s*\((\d+)\)/i);
+  if (resultCountMatch) {
+    console.log(`📊 Found ${resultCountMatch[1]} results in database`);
+  } else {
+    console.log('⚠️ Could not find result count - might be no results or different format');
+  }
+  
+  // One structured hit per hit-list row (see webopac_parser.js)
+  let hits = await parseWebopacHtml('hitList', html);
+  console.log(`📋 Hits on list: ${hits.length}`);
+  if (hits.length > 0) {
+    console.log('📋 First 5 hits:', hits.slice(0, 5).map(hit => `${hit.title} [${hit.mediaType || '?'}]`));
+  }
+  
+  // Filter to only DVD and Blu-Ray results (unless disabled in settings)
+  if (settings.dvdBlurayOnly) {
+    const beforeDvdFilter = hits.length;
+    hits = hits.filter(hit => {
+      if (!isDiscMediaType(hit.mediaType)) {
+        console.log(`📀 Filtering out: "${hit.title}" (${hit.mediaType || 'no media type'})`);
+        return false;
       }
-    }
-    
-    // Deduplicate matches by text
-    const seenTexts = new Set();
-    allMatches = allMatches.filter(m => {
-      if (seenTexts.has(m.text.toLowerCase())) return false;
-      seenTexts.add(m.text.toLowerCase());
       return true;
     });
+    console.log(`📀 After DVD/Blu-ray filter: ${hits.length} of ${beforeDvdFilter} results`);
+  }
+  
+  return hits;
+}
+
+/**
+ * Score hits against a film and pick the best match
+ * @param {Object[]} hits - Hits from extractSearchHits(), possibly merged from several queries
+ * @param {string} searchTitle - Original search title
+ * @param {Object} matchOptions - { excludeBvids, directors, year, originalTitle } (optional): records
+ *   the user rejected for this film, and the directors, year and original title Letterboxd lists
+ * @returns {Object} - Parsed result object
+ */
+function scoreSearchHits(hits, searchTitle, matchOptions = {}) {
+  const { excludeBvids = [], directors = [], year = null, originalTitle = null } = matchOptions;
+  try {
+    console.log(`🔍 Scoring ${hits.length} hits for: "${searchTitle}"`);
     
-    console.log(`📋 Total unique links found: ${allMatches.length}`);
-    if (allMatches.length > 0) {
-      console.log('📋 First 5 matches:', allMatches.slice(0, 5).map(m => m.text));
-    }
-    
-    // Filter to only DVD and Blu-Ray results
-    // The HFF results show media type info in HTML - look for DVD-Video, DVD, Blu-Ray
-    console.log(`📀 Starting DVD/Blu-ray filter on ${allMatches.length} results...`);
-    const beforeDvdFilter = allMatches.length;
-    const dvdFilteredMatches = allMatches.filter(match => {
-      const hrefIndex = html.indexOf(match.href);
-      if (hrefIndex === -1) return false;
-      
-      // Look at HTML around this result (search backwards more to catch media type)
-      const startPos = Math.max(0, hrefIndex - 1500);
-      const endPos = Math.min(html.length, hrefIndex + 500);
-      const nearbyHtml = html.substring(startPos, endPos);
-      
-      // Check for DVD or Blu-Ray in various formats
-      // Can appear as: DVD-Video, DVD, Blu-Ray, Blu-ray, alt="DVD"
-      const isDvdOrBluray = /(?:DVD(?:-Video)?|Blu-?[Rr]ay)/i.test(nearbyHtml);
-      
-      if (!isDvdOrBluray) {
-        console.log(`📀 Filtering out: "${match.text}" (not DVD/Blu-ray)`);
-      }
-      return isDvdOrBluray;
-    });
+    // Drop records the user rejected for this film before anything gets scored
+    const allMatches = hits.filter(match => !excludeBvids.includes(match.bvid));
     
-    // Fallback: if filter removed everything but there were results, keep original
-    if (dvdFilteredMatches.length === 0 && beforeDvdFilter > 0) {
-      console.log(`⚠️ DVD filter removed all ${beforeDvdFilter} results - using originals as fallback`);
-      // DON'T use fallback - we ONLY want DVD/Blu-ray results
-      // Just log and continue with empty results
-      allMatches = [];
-      console.log(`📀 No DVD/Blu-ray found, returning no results`);
-    } else {
-      allMatches = dvdFilteredMatches;
-      console.log(`📀 After DVD/Blu-ray filter: ${allMatches.length} of ${beforeDvdFilter} results`);
-    }
+    // Find best matching result
+    let bestMatch = null;
+    let bestScore = 0;
+    let bestVariant = null;
+    let bestDirectorMatch = 'unknown';
+    let bestYearMatch = 'unknown';
+    let vetoedCount = 0;
+    let closestMatch = null;
+    let closestScore = 0;
+    const MATCH_THRESHOLD = settings.matchThreshold; // Minimum similarity from settings (default 70%)
+    const scored = [];
     
-    // Calculate similarity score between two titles
-    const calculateTitleSimilarity = (title1, title2) => {
-      const t1 = title1.toLowerCase().trim();
-      const t2 = title2.toLowerCase().trim();
-      
-      // Exact match
-      if (t1 === t2) return 100;
-      
-      // Remove punctuation but keep accented chars, normalize spaces
-      const normalize = (s) => s.replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim().toLowerCase();
-      const n1 = normalize(t1);
-      const n2 = normalize(t2);
-      
-      if (n1 === n2) return 95;
-      
-      // Get all words (filter out very short ones like "a", "o", "le", etc.)
-      const getWords = (s) => s.split(' ').filter(w => w.length > 2);
-      const searchWords = getWords(n1);
-      const resultWords = getWords(n2);
-      
-      // For SINGLE WORD searches, be VERY strict
-      if (searchWords.length === 1) {
-        const searchWord = searchWords[0];
-        
-        // Result must ALSO be a single significant word, or search word must be at the BEGINNING
-        if (resultWords.length === 1 && resultWords[0] === searchWord) {
-          return 90; // Both are single words that match exactly
-        }
-        
-        // Check if result starts with exactly the search term (as a standalone title)
-        // "Lucky" should match "Lucky (2017)" but NOT "Lucky Luke" or "O Lucky Man"
-        const resultStartsWithSearch = n2 === n1 || 
-                                        n2.startsWith(n1 + ' ') ||
-                                        n2.match(new RegExp(`^${n1}\\s*[\\(\\[\\d]`)); // Lucky (2017) or Lucky 2017
-        
-        if (resultStartsWithSearch) {
-          // But also check the result isn't much longer (different film with same first word)
-          if (resultWords.length <= 2) {
-            return 80; // Short result starting with search word
-          }
-          // If there are many more words, it's probably a different film
-          console.log(`📊 Rejecting: "${t1}" vs "${t2}" - single word search but result has ${resultWords.length} significant words`);
-          return 25;
-        }
-        
-        // If search word appears elsewhere (not at start), it's probably not the right film
-        // e.g., "Lucky" should NOT match "O Lucky Man!" or "Get Lucky"
-        if (resultWords.includes(searchWord)) {
-          console.log(`📊 Rejecting: "${t1}" found within "${t2}" but not at start`);
-          return 20; // Word found but not at beginning - different film
-        }
-        
-        return 10; // Single word not found properly
+    // Each hit is scored against all of its record's title variants, then adjusted by
+    // whether its directors and year agree with the film's (see title_matcher.js)
+    for (const match of allMatches) {
+      const record = getHitIndexRecord(match);
+      const variants = [{ kind: 'title', title: match.title }];
+      if (record && record.variants) {
+        record.variants.forEach(([kind, title]) => variants.push({ kind, title }));
       }
       
-      // For TWO WORD searches, still be fairly strict
-      if (searchWords.length === 2) {
-        // Both words must appear at the beginning of the result
-        if (resultWords.length >= 2 && 
-            resultWords[0] === searchWords[0] && 
-            resultWords[1] === searchWords[1]) {
-          if (resultWords.length <= 3) {
-            return 85;
-          }
-          return 75; // First two words match exactly - good match even with subtitle
-        }
-        
-        // Check if all search words are in result
-        const commonWords = searchWords.filter(w => resultWords.includes(w));
-        if (commonWords.length === 2) {
-          if (resultWords.length <= 3) return 75;
-          return 50; // Both words found but result is much longer
-        }
-        
-        return 15;
+      // The original title finds records the index doesn't know under another title
+      let { score: titleScore, variant } = matchTitleVariants(searchTitle, variants);
+      if (originalTitle) {
+        const original = matchTitleVariants(originalTitle, variants);
+        if (original.score > titleScore) ({ score: titleScore, variant } = original);
       }
+      // Without an index record, the hit's own COinS authors can confirm a director but not veto
+      // one - the hit list doesn't say which of them directed
+      let directorMatch = compareDirectors(directors, record ? record.directors : null);
+      if (!record && compareDirectors(directors, match.authors) === 'match') {
+        directorMatch = 'match';
+      }
+      const directorEvidence = applyDirectorEvidence(titleScore, directorMatch);
+      const veto = directorEvidence.veto;
+      const yearMatch = compareYears(year, record || { year: match.year });
+      const score = applyYearEvidence(directorEvidence.score, yearMatch);
+      console.log(`📊 Similarity "${searchTitle}" vs "${variant.title}" (${variant.kind}): ${titleScore}%, director ${directorMatch}, year ${yearMatch} -> ${score}%`);
+      scored.push({ match, score });
       
-      // For LONGER titles (3+ words), use word overlap
-      const commonWords = searchWords.filter(w => resultWords.includes(w));
-      const overlapRatio = commonWords.length / Math.max(searchWords.length, resultWords.length);
-      const coverageRatio = commonWords.length / searchWords.length; // How much of search is covered
-      
-      // Check if words appear in the same order at the start
-      let matchingPrefix = 0;
-      for (let i = 0; i < Math.min(searchWords.length, resultWords.length); i++) {
-        if (searchWords[i] === resultWords[i]) {
-          matchingPrefix++;
-        } else {
-          break;
+      if (veto) {
+        console.log(`🎬 Director mismatch vetoes "${match.title}"`);
+        vetoedCount++;
+        // Still offered as the closest title, so a vetoed title match shows as a possible match
+        if (score > closestScore) {
+          closestScore = score;
+          closestMatch = match;
         }
+        continue;
       }
       
-      // Bonus for matching prefix
-      const prefixBonus = (matchingPrefix / searchWords.length) * 20;
-      
-      // Most of the search words should be in the result
-      if (coverageRatio >= 0.8 && overlapRatio >= 0.5) return Math.min(95, 85 + prefixBonus);
-      if (coverageRatio >= 0.6 && overlapRatio >= 0.4) return Math.min(85, 70 + prefixBonus);
-      if (coverageRatio >= 0.5) return 50 + prefixBonus / 2;
-      
-      return overlapRatio * 40;
-    };
-    
-    // Find best matching result
-    let bestMatch = null;
-    let bestScore = 0;
-    const MATCH_THRESHOLD = 70; // Require at least 70% similarity
-    
-    for (const match of allMatches) {
-      const score = calculateTitleSimilarity(searchTitle, match.text);
-      console.log(`📊 Similarity "${searchTitle}" vs "${match.text}": ${score}%`);
-      
       if (score > bestScore && score >= MATCH_THRESHOLD) {
         bestScore = score;
         bestMatch = match;
+        bestVariant = variant;
+        bestDirectorMatch = directorMatch;
+        bestYearMatch = yearMatch;
+      } else if (score > closestScore && score < MATCH_THRESHOLD) {
+        closestScore = score;
+        closestMatch = match;
       }
     }
     
+    // Other hits the user can re-link the film to, best first
+    const candidates = scored
+      .filter(({ match }) => match !== bestMatch)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ match, score }) => ({
+        title: match.title,
+        bvid: match.bvid,
+        link: match.bvid ? buildPermalink(match.bvid) : null,
+        matchScore: score
+      }))
+      .filter(candidate => candidate.bvid);
+    
     if (bestMatch) {
-      console.log(`✅ Best matching title: "${bestMatch.text}" (${bestScore}% match)`);
-      
-      // Check availability in the full HTML
-      const isAvailable = html.includes('ausleihbar') || 
-                         html.includes('verfügbar') ||
-                         html.includes('available');
+      console.log(`✅ Best matching title: "${bestMatch.title}" (${bestScore}% match on ${bestVariant.kind} "${bestVariant.title}")`);
       
-      console.log(`📊 Availability check: ${isAvailable ? 'AVAILABLE' : 'NOT AVAILABLE'}`);
+      // Link straight to the record's permalink; fall back to a title query if the bvid is unknown
+      const bvid = bestMatch.bvid;
+      const link = bvid
+        ? buildPermalink(bvid)
+        : `https://webopac.hff-muc.de/webOPACClient.hffsis/start.do?Branch=00&Query=-1=%22${encodeURIComponent(bestMatch.title)}%22`;
       
-      // Use the start.do URL with Query parameter
-      const searchLink = `https://webopac.hff-muc.de/webOPACClient.hffsis/start.do?Branch=00&Query=-1=%22${encodeURIComponent(bestMatch.text)}%22`;
+      if (!bvid) {
+        console.log(`⚠️ Could not find bvid for "${bestMatch.title}", linking to title query`);
+      }
       
+      // Copy status comes from the record's detail view (see fetchRecordAvailability),
+      // the hit list's row status is only a first guess
       return {
-        available: isAvailable,
-        link: searchLink,
-        title: bestMatch.text,
-        matchScore: bestScore
+        available: true,
+        availability: bestMatch.availability,
+        link: link,
+        title: bestMatch.title,
+        year: bestMatch.year,
+        mediaType: bestMatch.mediaType,
+        matchScore: bestScore,
+        matchedVariant: bestVariant,
+        directorMatch: bestDirectorMatch,
+        yearMatch: bestYearMatch,
+        bvid: bvid,
+        candidates: candidates
       };
     }
     
@@ -452,34 +815,81 @@ function parseSearchResults(html, searchTitle) {
       console.log('⚠️ Found results but no title matched well enough');
       return {
         available: false,
-        note: 'Found results but titles did not match closely enough'
+        weakMatch: true,
+        note: vetoedCount > 0
+          ? 'Found results but their directors did not match'
+          : 'Found results but titles did not match closely enough',
+        closestTitle: closestMatch ? closestMatch.title : null,
+        closestScore: closestScore,
+        candidates: candidates
       };
     }
     
     console.log('❌ No results found');
     return { available: false };
   } catch (error) {
-    console.error('❌ Error parsing search results:', error);
+    console.error('❌ Error scoring search hits:', error);
     return { available: false, error: error.message };
   }
 }
 
 /**
- * Clear expired cache entries
+ * Find the catalog index record of a hit-list entry
+ * The hit list only shows one title; the index knows the record's other titles and directors.
+ * @param {Object} match - Hit { text, bvid }
+ * @returns {Object|null} - Index record, or null if the index isn't loaded or lacks the record
+ */
+function getHitIndexRecord(match) {
+  if (!catalogIndex || !match.bvid) {
+    return null;
+  }
+  
+  return lookupCatalogIndexByBvid(catalogIndex, match.bvid);
+}
+
+/**
+ * Fetch a record's detail view and read per-copy status from its Exemplare table
+ * @param {string} detailUrl - Record permalink (opens the detail view in the current session)
+ * @returns {Promise<Object>} - { available, availability, copies }
  */
-function cleanupCache() {
-  const now = Date.now();
-  for (const [key, value] of searchCache.entries()) {
-    if (value.timestamp && (now - value.timestamp) > 3600000) { // 1 hour
-      searchCache.delete(key);
+async function fetchRecordAvailability(detailUrl) {
+  try {
+    console.log('📖 Fetching detail view:', detailUrl);
+    const response = await fetch(detailUrl, {
+      method: 'GET',
+      credentials: 'include',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      }
+    });
+    
+    if (!response.ok) {
+      console.error('❌ Detail request failed:', response.status);
+      return { availability: 'unknown', copies: [] };
     }
+    
+    const copies = await parseWebopacHtml('copies', await response.text());
+    const availability = summarizeAvailability(copies);
+    console.log(`📊 ${copies.length} copies, availability: ${availability}`);
+    
+    return {
+      // Held but unknown status stays visible; only a definite "all on loan" is not available
+      available: availability !== 'on_loan',
+      availability: availability,
+      copies: copies,
+      callNumber: copies.length > 0 ? copies[0].callNumber : null,
+      mediaType: copies.length > 0 ? copies[0].mediaType : null
+    };
+  } catch (error) {
+    console.error('❌ Error fetching detail view:', error);
+    return { availability: 'unknown', copies: [] };
   }
 }
 
 // Message handling
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'CHECK_AVAILABILITY') {
-    searchFilm(message.title, message.year)
+    searchFilm(message.title, message.year, { tmdbId: message.tmdbId, imdbId: message.imdbId }, message.slug, message.directors || [], message.originalTitle || null)
       .then(result => {
         sendResponse(result);
       })
@@ -491,6 +901,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates async response
   }
   
+  if (message.type === 'GET_CATALOG_INFO') {
+    getCatalogIndexInfo()
+      .then(info => sendResponse(info))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Indicates async response
+  }
+
+  if (message.type === 'CATALOG_INDEX_CHANGED') {
+    resetCatalogIndex();
+    sendResponse({ ok: true });
+    return false;
+  }
+
   // Forward other message types to content script
   if (message.type === 'START_SCAN' || message.type === 'STOP_SCAN' || message.type === 'GET_STATUS') {
     chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
@@ -502,8 +925,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// React to settings changes from the options page without reloading the extension
+onSettingsChanged((changes, changedKeys) => {
+  console.log('⚙️ Settings changed:', changedKeys.join(', '));
+  applySettings(changes);
+  
+  // Cached results were computed with the old matching rules
+  if (changedKeys.some(key => MATCHING_SETTINGS.includes(key))) {
+    clearResultCache();
+  }
+});
+
 // Periodic cleanup
-setInterval(cleanupCache, 300000); // Every 5 minutes
+setInterval(pruneResultCache, 300000); // Every 5 minutes
 
 // Log when extension starts
 chrome.runtime.onInstalled.addListener(() => {
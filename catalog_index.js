@@ -0,0 +1,431 @@
+// Offline catalog index for HFF Library Availability Extension
+//
+// The index is a compact JSON artifact built from the scraped HFF catalog
+// (see hff_scraping/build_index.js). Layout:
+//
+//   {
+//     "schema": 2,
+//     "version": "<build time, YYYYMMDDTHHMMSS (UTC)>",
+//     "builtAt": "<ISO date>",
+//     "source": ["<input file>", ...],
+//     "fields": ["bvid", "permalink", "mediaType", "callNumber", "tmdbId", "imdbId", "title", "year",
+//                "productionYear", "variants", "directors"],
+//     "records": [[...values in `fields` order...], ...],   // variants: [[kind, title], ...] besides title
+//                                                           // directors: normalized names (see title_matcher.js)
+//     "titles": { "<normalized title>": { "<year or ''>": [recordIndex, ...] } }
+//   }
+//
+// `year` is the catalog (usually disc) year, `productionYear` the film's year from the notes.
+// Records are filed under both in `titles`. Records are sorted by bvid, so applying a delta
+// reproduces the full index it was built from.
+//
+// A delta update carries only new or changed rows and the bvids removed since `baseVersion`:
+//
+//   { "schema": 2, "type": "delta", "baseVersion": "<version it applies to>", "version", "builtAt",
+//     "source", "fields", "records": [...], "removed": ["<bvid>", ...] }
+
+const CATALOG_INDEX_SCHEMA = 2;
+const CATALOG_INDEX_FIELDS = ['bvid', 'permalink', 'mediaType', 'callNumber', 'tmdbId', 'imdbId', 'title', 'year', 'productionYear', 'variants', 'directors'];
+const CATALOG_INDEX_PATH = 'data/hff_index.json';
+const HFF_PERMALINK_BASE = 'https://webopac.hff-muc.de/00/bvnr/';
+
+// bvid/TMDb/IMDb id -> record index maps, built on first id lookup per index
+const catalogIdMaps = new WeakMap();
+
+/**
+ * Normalize a title for index keys and lookups
+ * @param {string} title - Raw title (Letterboxd or catalog)
+ * @returns {string} - Lowercase title without punctuation or sort marks
+ */
+function normalizeCatalogTitle(title) {
+  if (!title) return '';
+  return title
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/¬/g, '')                   // BVB non-sorting markers (¬Der¬ Himmel über Berlin)
+    .replace(/['’`´]/g, '')              // Apostrophes join words (Don't -> dont)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')    // Everything else separates words
+    .trim();
+}
+
+/**
+ * Build the stable WebOPAC permalink for a record (same format the scraper stores)
+ * @param {string} bvid - BVB record id, e.g. "BV035089844"
+ * @returns {string} - Permalink URL
+ */
+function buildPermalink(bvid) {
+  return `${HFF_PERMALINK_BASE}${bvid}`;
+}
+
+/**
+ * Load the bundled catalog index from the extension package
+ * @returns {Promise<Object>} - Parsed index
+ */
+async function loadCatalogIndex() {
+  const response = await fetch(chrome.runtime.getURL(CATALOG_INDEX_PATH));
+  if (!response.ok) {
+    throw new Error(`Could not load catalog index (status ${response.status})`);
+  }
+
+  const index = await response.json();
+  validateCatalogIndex(index);
+  return index;
+}
+
+/**
+ * Parse an index version (its build time, e.g. "20261019T171012") for comparison
+ * @param {string} version - Index version
+ * @returns {number} - Milliseconds since the epoch, or NaN if the version isn't a build time
+ */
+function parseCatalogVersion(version) {
+  const match = String(version || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return NaN;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Order two index versions by build time
+ * @param {string} a - Index version
+ * @param {string} b - Index version
+ * @returns {number} - Negative if a is older, positive if newer, 0 if the same build
+ */
+function compareCatalogVersions(a, b) {
+  return parseCatalogVersion(a) - parseCatalogVersion(b);
+}
+
+/**
+ * Sort records by bvid, the canonical record order of full indexes
+ * @param {Array[]} records - Index rows
+ * @param {string[]} fields - Index fields
+ * @returns {Array[]} - The same rows, sorted
+ */
+function sortCatalogRecords(records, fields) {
+  const bvidField = fields.indexOf('bvid');
+  return records.sort((a, b) => (a[bvidField] < b[bvidField] ? -1 : a[bvidField] > b[bvidField] ? 1 : 0));
+}
+
+/**
+ * Check that an index or delta update has the expected layout
+ * @param {Object} index - Parsed index file
+ * @throws {Error} - Describing the first problem found
+ */
+function validateCatalogIndex(index) {
+  if (!index || typeof index !== 'object' || Array.isArray(index)) {
+    throw new Error('Not a catalog index file');
+  }
+  if (index.schema !== CATALOG_INDEX_SCHEMA) {
+    throw new Error(`Unsupported catalog index schema ${index.schema} (expected ${CATALOG_INDEX_SCHEMA})`);
+  }
+  if (Number.isNaN(parseCatalogVersion(index.version))) {
+    throw new Error(`Catalog index has no valid version (got ${JSON.stringify(index.version)})`);
+  }
+  if (!Array.isArray(index.fields) || !Array.isArray(index.records)) {
+    throw new Error('Catalog index has no fields or records');
+  }
+
+  const missing = CATALOG_INDEX_FIELDS.filter(field => !index.fields.includes(field));
+  if (missing.length > 0) {
+    throw new Error(`Catalog index lacks fields: ${missing.join(', ')}`);
+  }
+
+  const bvidField = index.fields.indexOf('bvid');
+  index.records.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== index.fields.length || !/^BV\d+$/.test(row[bvidField])) {
+      throw new Error(`Invalid catalog index record #${i + 1}`);
+    }
+  });
+
+  if (index.type === 'delta') {
+    if (typeof index.baseVersion !== 'string' || !Array.isArray(index.removed)) {
+      throw new Error('Delta update has no baseVersion or removed list');
+    }
+  } else if (!index.titles || typeof index.titles !== 'object') {
+    throw new Error('Catalog index has no title map');
+  }
+}
+
+/**
+ * File every record under its normalized titles and years (the index's `titles` map)
+ * @param {Object} index - Catalog index with fields and records
+ * @returns {Object} - { "<normalized title>": { "<year or ''>": [recordIndex, ...] } }
+ */
+function fileCatalogTitles(index) {
+  const titles = {};
+  const field = (name) => index.fields.indexOf(name);
+
+  index.records.forEach((row, recordIndex) => {
+    const year = row[field('year')] || '';
+    const productionYear = row[field('productionYear')] || '';
+    const variantTitles = [row[field('title')], ...(row[field('variants')] || []).map(([, title]) => title)];
+    const normalizedTitles = new Set(variantTitles.map(normalizeCatalogTitle).filter(Boolean));
+
+    // Filed under the disc year and the production year, so either finds the record
+    const years = [...new Set([year, productionYear || year])];
+    for (const title of normalizedTitles) {
+      const byYear = titles[title] || (titles[title] = {});
+      for (const bucketYear of years) {
+        const bucket = byYear[bucketYear] || (byYear[bucketYear] = []);
+        if (!bucket.includes(recordIndex)) bucket.push(recordIndex);
+      }
+    }
+  });
+
+  return titles;
+}
+
+/**
+ * Apply a delta update to the index it was built against
+ * @param {Object} base - Current catalog index
+ * @param {Object} delta - Validated delta update
+ * @returns {Object} - New catalog index
+ */
+function applyCatalogDelta(base, delta) {
+  if (delta.baseVersion !== base.version) {
+    throw new Error(`Update applies to index ${delta.baseVersion}, but ${base.version} is installed`);
+  }
+  if (JSON.stringify(delta.fields) !== JSON.stringify(base.fields)) {
+    throw new Error('Update was built with different fields - import a full index instead');
+  }
+
+  const bvidField = base.fields.indexOf('bvid');
+  const changed = new Map(delta.records.map(row => [row[bvidField], row]));
+  const removed = new Set(delta.removed);
+  const records = [];
+
+  for (const row of base.records) {
+    const bvid = row[bvidField];
+    if (removed.has(bvid)) continue;
+    records.push(changed.has(bvid) ? changed.get(bvid) : row);
+    changed.delete(bvid);
+  }
+  records.push(...changed.values());
+  sortCatalogRecords(records, base.fields);
+
+  const index = {
+    schema: CATALOG_INDEX_SCHEMA,
+    version: delta.version,
+    builtAt: delta.builtAt,
+    source: delta.source,
+    fields: base.fields,
+    records: records
+  };
+  index.titles = fileCatalogTitles(index);
+  return index;
+}
+
+/**
+ * Build the delta update that turns one index into another
+ * @param {Object} base - Older catalog index
+ * @param {Object} index - Newer catalog index with the same fields
+ * @returns {Object} - Delta update
+ */
+function diffCatalogIndexes(base, index) {
+  const bvidField = index.fields.indexOf('bvid');
+  const baseRows = new Map(base.records.map(row => [row[bvidField], JSON.stringify(row)]));
+  const bvids = new Set(index.records.map(row => row[bvidField]));
+
+  return {
+    schema: CATALOG_INDEX_SCHEMA,
+    type: 'delta',
+    baseVersion: base.version,
+    version: index.version,
+    builtAt: index.builtAt,
+    source: index.source,
+    fields: index.fields,
+    records: index.records.filter(row => baseRows.get(row[bvidField]) !== JSON.stringify(row)),
+    removed: [...baseRows.keys()].filter(bvid => !bvids.has(bvid))
+  };
+}
+
+/**
+ * Turn a compact index row back into a record object
+ * @param {Object} index - Catalog index
+ * @param {number} recordIndex - Position in index.records
+ * @returns {Object} - Record keyed by index.fields
+ */
+function getCatalogRecord(index, recordIndex) {
+  const row = index.records[recordIndex];
+  const record = {};
+  index.fields.forEach((field, i) => {
+    record[field] = row[i];
+  });
+  return record;
+}
+
+/**
+ * Look up a film in the catalog index by normalized title and year
+ * @param {Object} index - Catalog index
+ * @param {string} title - Film title
+ * @param {string} year - Film year (optional)
+ * @param {string[]} excludeBvids - Records the user rejected for this film (optional)
+ * @returns {Object|null} - { record, matchScore, variant } or null if not held
+ */
+function lookupCatalogIndex(index, title, year, excludeBvids = []) {
+  const byYear = index.titles[normalizeCatalogTitle(title)];
+  if (!byYear) return null;
+
+  const bvidField = index.fields.indexOf('bvid');
+  const allowed = (recordIndexes) => (recordIndexes || [])
+    .filter(recordIndex => !excludeBvids.includes(index.records[recordIndex][bvidField]));
+
+  let candidates;
+  let matchScore;
+
+  const nearbyYears = year ? [String(Number(year) - 1), String(Number(year) + 1)] : [];
+
+  if (year && allowed(byYear[year]).length > 0) {
+    candidates = allowed(byYear[year]);
+    matchScore = 100;
+  } else if (year && allowed(nearbyYears.flatMap(nearby => byYear[nearby] || [])).length > 0) {
+    // Production years are off by one now and then (festival premiere vs. release)
+    candidates = allowed(nearbyYears.flatMap(nearby => byYear[nearby] || []));
+    matchScore = 90;
+  } else if (year) {
+    // Records without a usable year can still be the film we're looking for
+    candidates = allowed(byYear['']);
+    matchScore = 85;
+  } else {
+    candidates = allowed(Object.values(byYear).flat());
+    matchScore = 90;
+  }
+
+  if (candidates.length === 0) return null;
+
+  const record = getCatalogRecord(index, candidates[0]);
+  return {
+    record: record,
+    matchScore: matchScore,
+    variant: findMatchedVariant(record, title)
+  };
+}
+
+/**
+ * Whether a catalog index match is good enough to answer without a live search
+ * Index matches are exact title matches scored by year agreement (100 same year, 90 a year
+ * off or no year given, 85 undated record), so the title threshold doesn't tell them apart.
+ * @param {Object} result - Offline search result
+ * @param {number} minScore - Lowest score that counts (settings.hybridMinScore)
+ * @returns {boolean} - True if the match is confident
+ */
+function isConfidentCatalogMatch(result, minScore) {
+  return !!result && result.available === true && !result.error && result.matchScore >= minScore;
+}
+
+/**
+ * Find which of a record's titles a lookup title was filed under
+ * @param {Object} record - Catalog record
+ * @param {string} title - Lookup title
+ * @returns {Object} - { kind, title }
+ */
+function findMatchedVariant(record, title) {
+  const normalized = normalizeCatalogTitle(title);
+  const variants = [['title', record.title], ...(record.variants || [])];
+  const found = variants.find(([, variantTitle]) => normalizeCatalogTitle(variantTitle) === normalized);
+  return found ? { kind: found[0], title: found[1] } : { kind: 'title', title: record.title };
+}
+
+/**
+ * Build (or reuse) the TMDb/IMDb id maps for an index
+ * @param {Object} index - Catalog index
+ * @returns {Object} - { bvid: Map, tmdb: Map, imdb: Map }
+ */
+function getCatalogIdMaps(index) {
+  let maps = catalogIdMaps.get(index);
+  if (maps) return maps;
+
+  const bvidField = index.fields.indexOf('bvid');
+  const tmdbField = index.fields.indexOf('tmdbId');
+  const imdbField = index.fields.indexOf('imdbId');
+  maps = { bvid: new Map(), tmdb: new Map(), imdb: new Map() };
+
+  index.records.forEach((row, recordIndex) => {
+    maps.bvid.set(row[bvidField], recordIndex);
+    const tmdbId = row[tmdbField];
+    const imdbId = row[imdbField];
+    if (tmdbId && !maps.tmdb.has(String(tmdbId))) maps.tmdb.set(String(tmdbId), recordIndex);
+    if (imdbId && !maps.imdb.has(imdbId)) maps.imdb.set(imdbId, recordIndex);
+  });
+
+  catalogIdMaps.set(index, maps);
+  return maps;
+}
+
+/**
+ * Look up a film in the catalog index by TMDb or IMDb id
+ * @param {Object} index - Catalog index
+ * @param {Object} ids - { tmdbId, imdbId } (either may be missing)
+ * @returns {Object|null} - { record, matchScore, matchedBy } or null if no record carries the id
+ */
+function lookupCatalogIndexById(index, ids) {
+  const maps = getCatalogIdMaps(index);
+
+  if (ids.tmdbId && maps.tmdb.has(String(ids.tmdbId))) {
+    return {
+      record: getCatalogRecord(index, maps.tmdb.get(String(ids.tmdbId))),
+      matchScore: 100,
+      matchedBy: 'tmdb'
+    };
+  }
+
+  if (ids.imdbId && maps.imdb.has(ids.imdbId)) {
+    return {
+      record: getCatalogRecord(index, maps.imdb.get(ids.imdbId)),
+      matchScore: 100,
+      matchedBy: 'imdb'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a record by its bvid
+ * @param {Object} index - Catalog index
+ * @param {string} bvid - BVB record id
+ * @returns {Object|null} - Record or null if the index doesn't have it
+ */
+function lookupCatalogIndexByBvid(index, bvid) {
+  const maps = getCatalogIdMaps(index);
+  return maps.bvid.has(bvid) ? getCatalogRecord(index, maps.bvid.get(bvid)) : null;
+}
+
+/**
+ * List every record filed under a title, whatever its year
+ * Used to offer alternatives when the user rejects a match
+ * @param {Object} index - Catalog index
+ * @param {string} title - Film title
+ * @param {string[]} excludeBvids - Records to leave out (optional)
+ * @returns {Object[]} - Records
+ */
+function listCatalogCandidates(index, title, excludeBvids = []) {
+  const byYear = index.titles[normalizeCatalogTitle(title)];
+  if (!byYear) return [];
+
+  return [...new Set(Object.values(byYear).flat())]
+    .map(recordIndex => getCatalogRecord(index, recordIndex))
+    .filter(record => !excludeBvids.includes(record.bvid));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CATALOG_INDEX_SCHEMA,
+    CATALOG_INDEX_FIELDS,
+    normalizeCatalogTitle,
+    parseCatalogVersion,
+    compareCatalogVersions,
+    sortCatalogRecords,
+    validateCatalogIndex,
+    fileCatalogTitles,
+    applyCatalogDelta,
+    diffCatalogIndexes,
+    buildPermalink,
+    getCatalogRecord,
+    lookupCatalogIndex,
+    isConfidentCatalogMatch,
+    lookupCatalogIndexById,
+    lookupCatalogIndexByBvid,
+    listCatalogCandidates
+  };
+}
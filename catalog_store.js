@@ -0,0 +1,130 @@
+// Imported catalog index updates for HFF Library Availability Extension
+//
+// A newer index (full or delta, see catalog_index.js) can be imported from the options page
+// without reinstalling the extension. The resulting full index is written to IndexedDB in a
+// single put, so a failed import leaves the previous index in place. Deleting it rolls back
+// to the index bundled with the extension.
+
+const CATALOG_DB_NAME = 'hffCatalog';
+const CATALOG_DB_VERSION = 1;
+const CATALOG_DB_STORE = 'indexes';
+const CATALOG_DB_KEY = 'imported';
+
+/**
+ * Open the catalog database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openCatalogDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CATALOG_DB_NAME, CATALOG_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CATALOG_DB_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the store and wait for its transaction to commit
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function catalogDbRequest(mode, operation) {
+  const db = await openCatalogDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CATALOG_DB_STORE, mode);
+      const request = operation(transaction.objectStore(CATALOG_DB_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onabort = () => reject(transaction.error || new Error('Catalog index transaction aborted'));
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read the imported index, if any
+ * @returns {Promise<Object|null>} - { index, importedAt, fileName } or null
+ */
+async function loadImportedCatalogIndex() {
+  const entry = await catalogDbRequest('readonly', store => store.get(CATALOG_DB_KEY));
+  return entry || null;
+}
+
+/**
+ * Load the index lookups should use: the newer of the imported and the bundled index
+ * An extension update can ship a bundled index newer than an earlier import, which then
+ * stops overriding it. A stored index that no longer validates (e.g. after a schema bump)
+ * is skipped.
+ * @returns {Promise<Object>} - { index, origin: 'imported'|'bundled', importedAt, fileName }
+ */
+async function loadActiveCatalogIndex() {
+  let entry = null;
+  try {
+    entry = await loadImportedCatalogIndex();
+    if (entry) validateCatalogIndex(entry.index);
+  } catch (error) {
+    console.warn('⚠️ Ignoring imported catalog index:', error.message);
+    entry = null;
+  }
+
+  const bundled = await loadCatalogIndex().catch(error => {
+    if (!entry) throw error;
+    console.warn('⚠️ Bundled catalog index unavailable:', error.message);
+    return null;
+  });
+
+  if (entry && (!bundled || compareCatalogVersions(entry.index.version, bundled.version) > 0)) {
+    return { index: entry.index, origin: 'imported', importedAt: entry.importedAt, fileName: entry.fileName };
+  }
+  if (entry) {
+    console.log(`📚 Bundled catalog index ${bundled.version} is newer than imported ${entry.index.version}`);
+  }
+  return { index: bundled, origin: 'bundled', importedAt: null, fileName: null };
+}
+
+/**
+ * Validate an index file and make it the active index
+ * Delta updates are applied to the active index first; nothing is written unless the
+ * result validates.
+ * @param {Object} update - Parsed full or delta index file
+ * @param {string} fileName - Name of the imported file, shown in the options page
+ * @returns {Promise<Object>} - The new full index
+ * @throws {Error} - If the file is invalid, not newer than the active index, or the delta doesn't apply
+ */
+async function importCatalogIndexUpdate(update, fileName) {
+  validateCatalogIndex(update);
+
+  const { index: current } = await loadActiveCatalogIndex();
+  if (compareCatalogVersions(update.version, current.version) <= 0) {
+    throw new Error(`Index ${update.version} is not newer than the installed ${current.version}`);
+  }
+
+  // Titles are refiled from the rows either way, so the map can't point at missing records
+  const index = update.type === 'delta'
+    ? applyCatalogDelta(current, update)
+    : { ...update, titles: fileCatalogTitles(update) };
+  validateCatalogIndex(index);
+
+  await catalogDbRequest('readwrite', store => store.put({
+    index,
+    importedAt: new Date().toISOString(),
+    fileName: fileName || null
+  }, CATALOG_DB_KEY));
+
+  console.log(`📚 Imported catalog index ${index.version} (${index.records.length} records)`);
+  return index;
+}
+
+/**
+ * Drop the imported index and go back to the bundled one
+ * @returns {Promise<void>}
+ */
+async function rollbackCatalogIndex() {
+  await catalogDbRequest('readwrite', store => store.delete(CATALOG_DB_KEY));
+  console.log('📚 Rolled back to the bundled catalog index');
+}
@@ -4,9 +4,16 @@ class HFFAvailabilityChecker {
   constructor() {
     this.processedElements = new Set();
     this.pendingChecks = new Map();
+    this.results = new Map();
+    this.elementResults = new Map();
+    this.filmKeys = new Set();
+    this.coverageBanner = null;
+    this.gridOrder = null;
     this.observer = null;
     this.isInitialized = false;
     this.isScanning = false;
+    this.scanGeneration = 0;
+    this.settings = { ...DEFAULT_SETTINGS };
     
     this.init();
   }
@@ -18,21 +25,115 @@ class HFFAvailabilityChecker {
     } else {
       this.setupMessageListener();
     }
+    
+    this.setupSettings();
+  }
+
+  /**
+   * Load settings and follow changes made on the options page
+   */
+  setupSettings() {
+    loadSettings()
+      .then(settings => {
+        this.settings = settings;
+        this.applyNotHeldView();
+        this.applyAutoScan();
+      })
+      .catch(error => console.error('Error loading settings:', error));
+    
+    onSettingsChanged((changes, changedKeys) => {
+      this.settings = { ...this.settings, ...changes };
+      
+      if (changedKeys.includes('autoScanPageTypes')) {
+        this.applyAutoScan();
+      }
+      
+      if (changedKeys.includes('notHeldView')) {
+        this.applyNotHeldView();
+      }
+      
+      // Badges on the page were computed with the old matching rules - redo them
+      if (this.isScanning && changedKeys.some(key => MATCHING_SETTINGS.includes(key))) {
+        console.log('⚙️ Matching settings changed, rescanning page...');
+        this.clearPreviousResults();
+        this.processVisibleFilms();
+      }
+    });
+  }
+
+  /**
+   * Classify the current Letterboxd page for auto-scan
+   * @returns {string|null} - 'film' | 'watchlist' | 'list' | 'diary' | 'films' or null
+   */
+  getPageType() {
+    const path = window.location.pathname;
+    
+    if (/^\/film\/[^\/]+\/?$/.test(path)) return 'film';
+    if (/^\/[^\/]+\/watchlist\//.test(path)) return 'watchlist';
+    if (/^\/[^\/]+\/list\/[^\/]+\//.test(path)) return 'list';
+    if (/^\/[^\/]+\/(films\/)?diary\//.test(path)) return 'diary';
+    if (/^\/([^\/]+\/)?films\//.test(path)) return 'films';
+    return null;
+  }
+
+  /**
+   * Per-tab scan override set from the popup ('on', 'off' or null)
+   * Kept in sessionStorage so it follows the tab across Letterboxd pages
+   */
+  getScanOverride() {
+    return sessionStorage.getItem('hffScanOverride');
+  }
+
+  setScanOverride(value) {
+    sessionStorage.setItem('hffScanOverride', value);
+  }
+
+  /**
+   * Start or stop scanning based on the auto-scan page types and the tab override
+   */
+  applyAutoScan() {
+    const override = this.getScanOverride();
+    const pageType = this.getPageType();
+    const autoScan = this.settings.autoScanPageTypes.includes(pageType);
+    
+    if (override === 'on' || (override !== 'off' && autoScan)) {
+      if (!this.isScanning) {
+        console.log(`🤖 Auto-scanning ${pageType || 'page'}${override === 'on' ? ' (tab override)' : ''}`);
+        this.startScan();
+      }
+    } else if (this.isScanning && override !== 'on') {
+      this.stopScan();
+    }
   }
 
   setupMessageListener() {
     // Listen for messages from the popup or background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.type === 'START_SCAN') {
+        // The popup button overrides auto-scan for the rest of this tab's session
+        this.setScanOverride('on');
         this.startScan();
         sendResponse({ success: true });
       } else if (message.type === 'STOP_SCAN') {
+        this.setScanOverride('off');
         this.stopScan();
         sendResponse({ success: true });
+      } else if (message.type === 'EXPORT_CSV') {
+        sendResponse({ count: this.exportCsv() });
+      } else if (message.type === 'SORT_BY_AVAILABILITY') {
+        sendResponse({ count: this.sortGridByAvailability() });
+      } else if (message.type === 'RESTORE_ORDER') {
+        this.restoreGridOrder();
+        sendResponse({ success: true });
       } else if (message.type === 'GET_STATUS') {
         sendResponse({ 
           isScanning: this.isScanning, 
-          processedCount: this.processedElements.size 
+          processedCount: this.processedElements.size,
+          pageType: this.getPageType(),
+          autoScan: this.settings.autoScanPageTypes.includes(this.getPageType()),
+          override: this.getScanOverride(),
+          gridSorted: !!this.gridOrder,
+          coverage: this.getCoverage()
         });
       }
     });
@@ -72,13 +173,30 @@ class HFFAvailabilityChecker {
     
     // Remove scroll handlers
     this.removeScrollHandlers();
+    
+    // The availability order only makes sense while badges are shown
+    this.restoreGridOrder();
   }
 
   clearPreviousResults() {
+    this.restoreGridOrder();
+    
     // Remove all existing indicators
     document.querySelectorAll('.hff-loading-indicator, .hff-availability-indicator').forEach(el => el.remove());
+    document.querySelectorAll('[data-hff-held]').forEach(el => el.removeAttribute('data-hff-held'));
     this.processedElements.clear();
     this.pendingChecks.clear();
+    this.results.clear();
+    this.elementResults.clear();
+    this.filmKeys.clear();
+    
+    if (this.coverageBanner) {
+      this.coverageBanner.remove();
+      this.coverageBanner = null;
+    }
+    
+    // Results of checks still in flight belong to the old scan and are dropped
+    this.scanGeneration++;
   }
 
   /**
@@ -228,7 +346,15 @@ class HFFAvailabilityChecker {
         this.addLoadingIndicatorToMainFilm(mainElement);
         
         // Check availability
-        const filmInfo = { title: filmTitle, year: filmYear };
+        const slugMatch = window.location.pathname.match(/^\/film\/([^\/]+)/);
+        const filmInfo = {
+          title: filmTitle,
+          year: filmYear,
+          slug: slugMatch ? slugMatch[1] : null,
+          directors: this.extractPageDirectors(),
+          originalTitle: this.extractPageOriginalTitle(),
+          ...this.extractPageExternalIds()
+        };
         this.checkAvailability(filmInfo, mainElement);
       }
     } else {
@@ -302,6 +428,7 @@ class HFFAvailabilityChecker {
       
       // Check if we already have a result for this film
       const cacheKey = this.createCacheKey(filmInfo.title, filmInfo.year);
+      this.filmKeys.add(cacheKey);
       if (this.pendingChecks.has(cacheKey)) {
         return;
       }
@@ -383,7 +510,10 @@ class HFFAvailabilityChecker {
 
       return {
         title: title,
-        year: year
+        year: year,
+        slug: this.extractFilmSlug(element),
+        directors: this.extractElementDirectors(element),
+        ...this.extractElementExternalIds(element)
       };
     } catch (error) {
       console.error('Error extracting film info:', error);
@@ -391,6 +521,112 @@ class HFFAvailabilityChecker {
     }
   }
 
+  /**
+   * Extract the Letterboxd film slug ("/film/<slug>/") from a poster
+   * @param {Element} element - The film element
+   * @returns {string|null} - Slug or null
+   */
+  extractFilmSlug(element) {
+    const slugElement = element.closest('[data-film-slug]') || element.querySelector('[data-film-slug]');
+    if (slugElement) {
+      return slugElement.getAttribute('data-film-slug');
+    }
+    
+    const linkElement = element.closest('[data-target-link]') || element.querySelector('[data-target-link], a[href*="/film/"]');
+    const link = linkElement && (linkElement.getAttribute('data-target-link') || linkElement.getAttribute('href'));
+    const slugMatch = link && link.match(/\/film\/([^\/]+)/);
+    return slugMatch ? slugMatch[1] : null;
+  }
+
+  /**
+   * Extract TMDb/IMDb ids for the main film on a film page
+   * Letterboxd puts the TMDb id on <body> and links out to both sites in the page footer
+   * @returns {Object} - { tmdbId, imdbId } (either may be null)
+   */
+  extractPageExternalIds() {
+    let tmdbId = document.body.dataset.tmdbId || null;
+    let imdbId = null;
+
+    if (!tmdbId) {
+      const tmdbLink = document.querySelector('a[href*="themoviedb.org/movie/"]');
+      const tmdbMatch = tmdbLink && tmdbLink.getAttribute('href').match(/themoviedb\.org\/movie\/(\d+)/);
+      if (tmdbMatch) {
+        tmdbId = tmdbMatch[1];
+      }
+    }
+
+    const imdbLink = document.querySelector('a[href*="imdb.com/title/"]');
+    const imdbMatch = imdbLink && imdbLink.getAttribute('href').match(/(tt\d+)/);
+    if (imdbMatch) {
+      imdbId = imdbMatch[1];
+    }
+
+    return { tmdbId, imdbId };
+  }
+
+  /**
+   * Extract the director(s) of the main film on a film page
+   * From the "Directed by" links in the header, falling back to the twitter:data1 meta tag
+   * @returns {string[]} - Director names
+   */
+  extractPageDirectors() {
+    const links = document.querySelectorAll('#featured-film-header a[href^="/director/"], .film-header-group a[href^="/director/"], .directorlist a[href^="/director/"]');
+    const names = [...links].map(link => link.textContent.trim()).filter(Boolean);
+    if (names.length > 0) {
+      return [...new Set(names)];
+    }
+
+    const label = document.querySelector('meta[name="twitter:label1"]');
+    const data = document.querySelector('meta[name="twitter:data1"]');
+    if (label && data && /directed by/i.test(label.getAttribute('content'))) {
+      return data.getAttribute('content').split(/,\s*|\s+and\s+/).map(name => name.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * Extract the original title of the main film on a film page, if Letterboxd shows one
+   * @returns {string|null} - Original title
+   */
+  extractPageOriginalTitle() {
+    const element = document.querySelector('#featured-film-header .originalname, .film-header-group .originalname, h2.originalname');
+    const title = element ? element.textContent.replace(/^[\s‘’'"“”]+|[\s‘’'"“”]+$/g, '') : '';
+    return title || null;
+  }
+
+  /**
+   * Extract director(s) from a poster's data attributes, where Letterboxd provides them
+   * @param {Element} element - The film element
+   * @returns {string[]} - Director names
+   */
+  extractElementDirectors(element) {
+    const source = element.matches('[data-directors], [data-director]')
+      ? element
+      : element.querySelector('[data-directors], [data-director]');
+    const value = source && (source.getAttribute('data-directors') || source.getAttribute('data-director'));
+    return value ? value.split(/,\s*/).map(name => name.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Extract TMDb/IMDb ids from a poster's data attributes
+   * @param {Element} element - The film element
+   * @returns {Object} - { tmdbId, imdbId } (either may be null)
+   */
+  extractElementExternalIds(element) {
+    const source = element.matches('[data-tmdb-id], [data-imdb-id]')
+      ? element
+      : element.querySelector('[data-tmdb-id], [data-imdb-id]');
+
+    if (!source) {
+      return { tmdbId: null, imdbId: null };
+    }
+
+    return {
+      tmdbId: source.getAttribute('data-tmdb-id') || null,
+      imdbId: source.getAttribute('data-imdb-id') || null
+    };
+  }
+
   /**
    * Create a cache key for the film
    * @param {string} title - Film title
@@ -438,6 +674,7 @@ class HFFAvailabilityChecker {
    */
   async checkAvailability(filmInfo, element) {
     const cacheKey = this.createCacheKey(filmInfo.title, filmInfo.year);
+    const scanGeneration = this.scanGeneration;
     
     // Mark as pending
     this.pendingChecks.set(cacheKey, true);
@@ -453,30 +690,252 @@ class HFFAvailabilityChecker {
       const resultPromise = this.sendMessage({
         type: 'CHECK_AVAILABILITY',
         title: filmInfo.title,
-        year: filmInfo.year
+        year: filmInfo.year,
+        tmdbId: filmInfo.tmdbId,
+        imdbId: filmInfo.imdbId,
+        slug: filmInfo.slug,
+        directors: filmInfo.directors,
+        originalTitle: filmInfo.originalTitle
       });
 
       const result = await Promise.race([resultPromise, timeoutPromise]);
 
       console.log(`📋 Result for "${filmInfo.title}":`, result);
+      
+      if (scanGeneration !== this.scanGeneration) {
+        return;
+      }
+      
+      this.results.set(cacheKey, { filmInfo: filmInfo, result: result });
+      this.elementResults.set(element, result);
+      this.updateCoverageBanner(element);
 
       // Remove loading indicator
       this.removeLoadingIndicator(element);
       
-      // Add availability indicator
-      if (result.available) {
-        console.log(`✅ "${filmInfo.title}" is available at HFF!`);
-        this.addAvailabilityIndicator(element, result);
+      // Every outcome gets an indicator, so "not held" and "lookup broke" look different
+      if (this.isHeldResult(result)) {
+        console.log(`✅ "${filmInfo.title}" is held by HFF (${result.availability || 'unknown'})`);
       } else {
         console.log(`❌ "${filmInfo.title}" is not available at HFF`);
       }
+      this.addAvailabilityIndicator(element, result, () => this.retryCheck(filmInfo, element), filmInfo);
+      this.markGridItem(element, result);
+      
+      // Keep a sorted grid sorted as results come in
+      if (this.gridOrder) {
+        this.scheduleGridSort();
+      }
 
     } catch (error) {
       console.error(`❌ Error checking availability for "${filmInfo.title}":`, error);
-      this.removeLoadingIndicator(element);
+      if (scanGeneration === this.scanGeneration) {
+        this.removeLoadingIndicator(element);
+        this.results.set(cacheKey, { filmInfo: filmInfo, result: { available: false, error: error.message } });
+        this.addAvailabilityIndicator(element, { available: false, error: error.message }, () => this.retryCheck(filmInfo, element), filmInfo);
+        this.updateCoverageBanner(element);
+      }
     } finally {
-      this.pendingChecks.delete(cacheKey);
+      if (scanGeneration === this.scanGeneration) {
+        this.pendingChecks.delete(cacheKey);
+      }
+    }
+  }
+
+  /**
+   * Whether a result means HFF holds the film (on shelf, on loan or status unknown)
+   * @param {Object} result - Availability result
+   * @returns {boolean}
+   */
+  isHeldResult(result) {
+    return !!result && !result.error && (result.available || result.availability === 'on_loan');
+  }
+
+  /**
+   * Record on a poster's grid item whether HFF holds the film, for the dim/hide view
+   * Failed lookups aren't marked - we don't know the film isn't held
+   * @param {Element} element - The film element
+   * @param {Object} result - Availability result
+   */
+  markGridItem(element, result) {
+    if (this.isMainFilmElement(element) || result.error) {
+      return;
+    }
+    
+    const gridItem = element.closest('li') || element;
+    gridItem.setAttribute('data-hff-held', this.isHeldResult(result) ? 'true' : 'false');
+  }
+
+  /**
+   * Apply the "films not held" view mode to the page
+   * Only a class on <html> changes, so switching back to 'show' restores the page exactly
+   */
+  applyNotHeldView() {
+    const root = document.documentElement;
+    root.classList.remove('hff-view-dim', 'hff-view-hide');
+    if (this.settings.notHeldView === 'dim' || this.settings.notHeldView === 'hide') {
+      root.classList.add(`hff-view-${this.settings.notHeldView}`);
+    }
+  }
+
+  /**
+   * Count how many films on the page HFF holds
+   * @returns {Object} - { total, checked, held, onShelf, bySource } (bySource: checked films per result.source)
+   */
+  getCoverage() {
+    const coverage = { total: this.filmKeys.size, checked: 0, held: 0, onShelf: 0, bySource: {} };
+    this.results.forEach(({ result }, cacheKey) => {
+      if (!this.filmKeys.has(cacheKey)) return;
+      coverage.checked++;
+      if (result.source) coverage.bySource[result.source] = (coverage.bySource[result.source] || 0) + 1;
+      if (this.isHeldResult(result)) coverage.held++;
+      if (this.isHeldResult(result) && result.availability === 'on_shelf') coverage.onShelf++;
+    });
+    return coverage;
+  }
+
+  /**
+   * Show or update the coverage banner above a list or watchlist grid
+   * @param {Element} element - Film element whose check just finished, used to find the grid
+   */
+  updateCoverageBanner(element) {
+    const pageType = this.getPageType();
+    if (pageType !== 'list' && pageType !== 'watchlist') {
+      return;
+    }
+    
+    if (!this.coverageBanner) {
+      const gridItem = element.closest('li');
+      if (!gridItem || !gridItem.parentElement) {
+        return;
+      }
+      
+      this.coverageBanner = document.createElement('div');
+      this.coverageBanner.className = 'hff-coverage-banner';
+      this.coverageBanner.innerHTML = '<div class="hff-coverage-text"></div><div class="hff-coverage-progress"><div class="hff-coverage-progress-bar"></div></div>';
+      gridItem.parentElement.insertAdjacentElement('beforebegin', this.coverageBanner);
+    }
+    
+    const { total, checked, held, onShelf } = this.getCoverage();
+    const text = `${held} of ${total} films in this ${pageType} are held by HFF (${onShelf} on shelf)`;
+    this.coverageBanner.querySelector('.hff-coverage-text').textContent = 
+      checked < total ? `${text} - ${checked} checked so far` : text;
+    this.coverageBanner.querySelector('.hff-coverage-progress-bar').style.width = `${total ? (checked / total) * 100 : 0}%`;
+    this.coverageBanner.classList.toggle('hff-coverage-done', checked >= total);
+  }
+
+  /**
+   * Rearrange poster grids so available films come first, then films on loan, then the rest
+   * Letterboxd's order is kept within each group and remembered for restoreGridOrder()
+   * @returns {number} - Number of grid items with a result
+   */
+  sortGridByAvailability() {
+    // Best rank per grid item - a poster can be matched by several selectors
+    const ranks = new Map();
+    this.elementResults.forEach((result, element) => {
+      if (this.isMainFilmElement(element) || !element.isConnected) return;
+      const gridItem = element.closest('li');
+      if (!gridItem || !gridItem.parentElement) return;
+      
+      const rank = this.availabilityRank(result);
+      ranks.set(gridItem, Math.min(rank, ranks.has(gridItem) ? ranks.get(gridItem) : rank));
+    });
+    
+    if (!this.gridOrder) {
+      this.gridOrder = new Map();
+    }
+    
+    const grids = new Set([...ranks.keys()].map(item => item.parentElement));
+    grids.forEach(grid => {
+      if (!this.gridOrder.has(grid)) {
+        this.gridOrder.set(grid, [...grid.children]);
+      }
+      
+      const original = this.gridOrder.get(grid);
+      const position = (item) => {
+        const index = original.indexOf(item);
+        return index === -1 ? original.length : index;
+      };
+      const rank = (item) => ranks.has(item) ? ranks.get(item) : 2;
+      
+      const sorted = [...grid.children].sort((a, b) => rank(a) - rank(b) || position(a) - position(b));
+      grid.append(...sorted);
+    });
+    
+    console.log(`🔀 Sorted ${ranks.size} films by HFF availability`);
+    return ranks.size;
+  }
+
+  /**
+   * Sort rank of a result: on shelf first, then on loan, then everything else
+   * Held records with an unknown status or reference-only copies can't be borrowed now.
+   * @param {Object} result - Availability result
+   * @returns {number} - 0, 1 or 2
+   */
+  availabilityRank(result) {
+    if (!this.isHeldResult(result)) return 2;
+    if (result.availability === 'on_shelf') return 0;
+    return result.availability === 'on_loan' ? 1 : 2;
+  }
+
+  scheduleGridSort() {
+    clearTimeout(this.gridSortTimeout);
+    this.gridSortTimeout = setTimeout(() => {
+      if (this.gridOrder) this.sortGridByAvailability();
+    }, 300);
+  }
+
+  /**
+   * Put poster grids back in Letterboxd's order
+   * Items added since sorting (infinite scroll) go after the original ones
+   */
+  restoreGridOrder() {
+    if (!this.gridOrder) return;
+    
+    clearTimeout(this.gridSortTimeout);
+    this.gridOrder.forEach((original, grid) => {
+      const added = [...grid.children].filter(item => !original.includes(item));
+      grid.append(...original.filter(item => item.parentElement === grid), ...added);
+    });
+    this.gridOrder = null;
+    console.log('🔀 Restored original grid order');
+  }
+
+  /**
+   * Run a failed check again
+   * @param {Object} filmInfo - Film information
+   * @param {Element} element - The film element
+   */
+  retryCheck(filmInfo, element) {
+    this.removeAvailabilityIndicator(element);
+    if (this.isMainFilmElement(element)) {
+      this.addLoadingIndicatorToMainFilm(element);
+    } else {
+      this.addLoadingIndicator(element);
     }
+    this.checkAvailability(filmInfo, element);
+  }
+
+  /**
+   * Remove the availability indicator of an element
+   * @param {Element} element - The film element
+   */
+  removeAvailabilityIndicator(element) {
+    const nextSibling = element.nextElementSibling;
+    if (nextSibling && nextSibling.classList.contains('hff-main-film-badge')) {
+      nextSibling.remove();
+    }
+    element.querySelectorAll(':scope > .hff-availability-indicator').forEach(el => el.remove());
+  }
+
+  /**
+   * Check if an element is the main film title on a film page
+   * @param {Element} element - The film element
+   * @returns {boolean}
+   */
+  isMainFilmElement(element) {
+    return !!(element.tagName === 'H1' || element.classList.contains('headline-1') || 
+              element.closest('#featured-film-header') || element.closest('.film-header-group'));
   }
 
   /**
@@ -507,21 +966,30 @@ class HFFAvailabilityChecker {
    * Add availability indicator to element
    * @param {Element} element - The film element
    * @param {Object} result - Availability result
+   * @param {Function} onRetry - Runs the check again (offered on failed lookups)
+   * @param {Object} filmInfo - Film information, for match corrections on the hover card
    */
-  addAvailabilityIndicator(element, result) {
-    // Check if this is the main film title (h1/heading element)
-    const isMainFilm = element.tagName === 'H1' || element.classList.contains('headline-1') || 
-                       element.closest('#featured-film-header') || element.closest('.film-header-group');
+  addAvailabilityIndicator(element, result, onRetry, filmInfo) {
+    const status = this.describeAvailability(result);
+    const canRetry = status.state === 'failed' && onRetry;
+    const tooltip = canRetry ? `${status.tooltip} - click to retry` : status.tooltip;
     
-    if (isMainFilm) {
+    // Check if this is the main film title (h1/heading element)
+    if (this.isMainFilmElement(element)) {
       // For main film on detail page, add a styled badge next to the title
-      const indicator = document.createElement('a');
-      indicator.className = 'hff-availability-indicator hff-main-film-badge';
-      indicator.innerHTML = '✓ Available at HFF';
-      indicator.title = 'Click to view in HFF Mediathek';
-      indicator.href = result.link || '#';
-      indicator.target = '_blank';
-      indicator.style.cssText = `
+      const indicator = document.createElement(result.link ? 'a' : 'span');
+      indicator.className = `hff-availability-indicator hff-main-film-badge ${status.className}`;
+      indicator.textContent = status.badge;
+      indicator.title = result.link ? `${tooltip} - click to view in HFF Mediathek` : tooltip;
+      indicator.dataset.tooltip = tooltip;
+      if (result.link) {
+        indicator.href = result.link;
+        indicator.target = '_blank';
+      } else if (canRetry) {
+        indicator.style.cursor = 'pointer';
+        indicator.addEventListener('click', onRetry);
+      }
+      indicator.style.cssText += `
         display: inline-flex;
         align-items: center;
         gap: 4px;
@@ -549,6 +1017,8 @@ class HFFAvailabilityChecker {
         indicator.style.background = 'linear-gradient(135deg, #2d2d2d, #1a1a1a)';
       });
       
+      this.attachHoverCard(indicator, result, status, filmInfo, element);
+      
       // Insert after the title element
       element.insertAdjacentElement('afterend', indicator);
       return;
@@ -556,23 +1026,334 @@ class HFFAvailabilityChecker {
     
     // For regular film posters
     const indicator = document.createElement('div');
-    indicator.className = 'hff-availability-indicator';
-    indicator.title = 'Available at HFF Mediathek';
+    indicator.className = `hff-availability-indicator ${status.className}`;
+    indicator.dataset.tooltip = tooltip;
     
-    if (result.link) {
+    if (result.link || canRetry) {
       indicator.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        window.open(result.link, '_blank');
+        if (result.link) {
+          window.open(result.link, '_blank');
+        } else {
+          onRetry();
+        }
       });
       indicator.style.cursor = 'pointer';
+    } else {
+      indicator.style.cursor = 'default';
     }
     
+    this.attachHoverCard(indicator, result, status, filmInfo, element);
+    
     // Position the indicator
     element.style.position = 'relative';
     element.appendChild(indicator);
   }
 
+  /**
+   * Show a card with the HFF holding details when a badge is hovered or focused
+   * Matches and weak matches always get one; "not held" only when there are records to
+   * re-link to or a correction to undo. Other states keep their tooltip.
+   * @param {Element} indicator - Badge element
+   * @param {Object} result - Availability result
+   * @param {Object} status - Result description from describeAvailability()
+   * @param {Object} filmInfo - Film information
+   * @param {Element} element - The film element
+   */
+  attachHoverCard(indicator, result, status, filmInfo, element) {
+    const hasCorrections = filmInfo && filmInfo.slug && ((result.candidates || []).length > 0 || result.override);
+    if (status.state === 'failed' || (status.state === 'not_held' && !hasCorrections)) {
+      return;
+    }
+    
+    indicator.classList.add('hff-has-card');
+    indicator.tabIndex = 0;
+    indicator.setAttribute('aria-label', status.tooltip);
+    
+    const show = () => this.showHoverCard(indicator, this.buildHoverCardContent(result, status, filmInfo, element));
+    const hide = () => this.scheduleHideHoverCard();
+    indicator.addEventListener('mouseenter', show);
+    indicator.addEventListener('focus', show);
+    indicator.addEventListener('mouseleave', hide);
+    indicator.addEventListener('blur', hide);
+  }
+
+  /**
+   * Show the hover card next to a badge
+   * @param {Element} indicator - Badge element
+   * @param {Element[]} content - Card children from buildHoverCardContent()
+   */
+  showHoverCard(indicator, content) {
+    clearTimeout(this.hoverCardTimeout);
+    
+    if (!this.hoverCard) {
+      // One shared card, attached to <body> so poster overflow doesn't clip it
+      this.hoverCard = document.createElement('div');
+      this.hoverCard.className = 'hff-hover-card';
+      this.hoverCard.setAttribute('role', 'group');
+      this.hoverCard.addEventListener('mouseenter', () => clearTimeout(this.hoverCardTimeout));
+      this.hoverCard.addEventListener('mouseleave', () => this.scheduleHideHoverCard());
+      document.body.appendChild(this.hoverCard);
+    }
+    
+    this.hoverCard.replaceChildren(...content);
+    this.hoverCard.style.display = 'block';
+    
+    // Prefer below-right of the badge, flip when it would leave the viewport
+    const rect = indicator.getBoundingClientRect();
+    const cardRect = this.hoverCard.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.bottom + 6;
+    if (left + cardRect.width > window.innerWidth - 8) left = Math.max(8, rect.right - cardRect.width);
+    if (top + cardRect.height > window.innerHeight - 8) top = Math.max(8, rect.top - cardRect.height - 6);
+    this.hoverCard.style.left = `${left + window.scrollX}px`;
+    this.hoverCard.style.top = `${top + window.scrollY}px`;
+  }
+
+  scheduleHideHoverCard() {
+    clearTimeout(this.hoverCardTimeout);
+    this.hoverCardTimeout = setTimeout(() => this.hideHoverCard(), 150);
+  }
+
+  hideHoverCard() {
+    clearTimeout(this.hoverCardTimeout);
+    if (this.hoverCard) this.hoverCard.style.display = 'none';
+  }
+
+  /**
+   * Build the hover card's content
+   * @param {Object} result - Availability result
+   * @param {Object} status - Result description from describeAvailability()
+   * @param {Object} filmInfo - Film information (optional)
+   * @param {Element} element - The film element (optional)
+   * @returns {Element[]} - Card children
+   */
+  buildHoverCardContent(result, status, filmInfo, element) {
+    const corrections = filmInfo && filmInfo.slug ? [this.buildCorrectionControls(result, filmInfo, element)] : [];
+    
+    const heading = document.createElement('div');
+    heading.className = 'hff-hover-card-title';
+    heading.textContent = result.title;
+    
+    const details = document.createElement('dl');
+    const addRow = (label, value) => {
+      if (value === null || value === undefined || value === '') return;
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      details.append(dt, dd);
+    };
+    
+    if (status.state === 'weak_match' || status.state === 'not_held') {
+      heading.textContent = status.state === 'weak_match' ? (result.closestTitle || 'Possible match') : 'Not matched';
+      addRow('Status', result.note || (status.state === 'weak_match' ? 'Not matched - title too different' : status.tooltip));
+      addRow('Match score', result.closestScore ? `${Math.round(result.closestScore)}%` : null);
+      return [heading, details, ...corrections];
+    }
+    
+    addRow('Year', result.productionYear && result.productionYear !== String(result.year)
+      ? `${result.productionYear} (disc ${result.year})`
+      : result.year);
+    addRow('Media type', result.mediaType);
+    addRow('Call number', result.callNumber);
+    
+    const copies = result.copies || [];
+    const locations = [...new Set(copies.map(copy => copy.location).filter(Boolean))];
+    addRow('Location', locations.join(', '));
+    
+    if (copies.length > 0) {
+      addRow('Copies', copies.map(copy => copy.statusText || copy.status).join(' · '));
+    } else {
+      addRow('Status', status.tooltip);
+    }
+    
+    addRow('Match score', result.matchScore ? `${Math.round(result.matchScore)}%` : null);
+    if (result.directorMatch === 'match') {
+      addRow('Director', 'Matches Letterboxd');
+    }
+    if (result.matchedVariant && result.matchedVariant.kind !== 'title') {
+      addRow('Matched on', `${describeTitleVariant(result.matchedVariant.kind)} "${result.matchedVariant.title}"`);
+    }
+    addRow('Source', RESULT_SOURCE_LABELS[result.source]);
+    addRow('Correction', MATCH_VERDICT_LABELS[result.override]);
+    
+    return [heading, details, ...corrections];
+  }
+
+  /**
+   * Build the hover card's match correction controls
+   * Confirm or reject the current match, or re-link the film to another candidate record
+   * @param {Object} result - Availability result
+   * @param {Object} filmInfo - Film information
+   * @param {Element} element - The film element
+   * @returns {Element} - Controls container
+   */
+  buildCorrectionControls(result, filmInfo, element) {
+    const controls = document.createElement('div');
+    controls.className = 'hff-hover-card-actions';
+    
+    const addButton = (label, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+      });
+      controls.appendChild(button);
+      return button;
+    };
+    
+    const current = this.isHeldResult(result) && result.bvid
+      ? { bvid: result.bvid, title: result.title, matchScore: result.matchScore }
+      : null;
+    
+    if (current && result.override !== 'confirmed') {
+      addButton('✓ Correct match', () => this.recordMatchVerdict(filmInfo, element, 'confirmed', current));
+    }
+    if (current) {
+      addButton('✗ Wrong match', () => this.recordMatchVerdict(filmInfo, element, 'rejected', current));
+    }
+    
+    const candidates = (result.candidates || []).filter(candidate => !current || candidate.bvid !== current.bvid);
+    if (candidates.length > 0) {
+      const label = document.createElement('div');
+      label.className = 'hff-hover-card-label';
+      label.textContent = current ? 'Or link to another HFF record:' : 'Link to an HFF record:';
+      controls.appendChild(label);
+      
+      candidates.forEach(candidate => {
+        const score = candidate.matchScore ? ` (${Math.round(candidate.matchScore)}%)` : '';
+        const year = candidate.year ? ` ${candidate.year}` : '';
+        const button = addButton(`${candidate.title}${year}${score}`, () => this.recordMatchVerdict(filmInfo, element, 'relinked', candidate, current));
+        button.className = 'hff-candidate';
+      });
+    }
+    
+    if (result.override) {
+      addButton('Undo correction', () => this.clearMatchVerdict(filmInfo, element));
+    }
+    
+    return controls;
+  }
+
+  /**
+   * Store a match verdict for a film and look it up again with the override applied
+   * @param {Object} filmInfo - Film information
+   * @param {Element} element - The film element
+   * @param {string} verdict - 'confirmed' | 'rejected' | 'relinked'
+   * @param {Object} record - HFF record the verdict is about
+   * @param {Object} currentMatch - Record matched before a re-link (optional)
+   */
+  async recordMatchVerdict(filmInfo, element, verdict, record, currentMatch) {
+    try {
+      const override = await getMatchOverride(filmInfo.slug);
+      await saveMatchOverride(filmInfo.slug, addMatchVerdict(override, verdict, filmInfo, record, currentMatch));
+      console.log(`✍️ ${verdict} ${record.bvid} for "${filmInfo.title}"`);
+    } catch (error) {
+      console.error('Error saving match override:', error);
+      return;
+    }
+    
+    this.hideHoverCard();
+    this.retryCheck(filmInfo, element);
+  }
+
+  /**
+   * Remove a film's match override and look it up again
+   * @param {Object} filmInfo - Film information
+   * @param {Element} element - The film element
+   */
+  async clearMatchVerdict(filmInfo, element) {
+    try {
+      await saveMatchOverride(filmInfo.slug, null);
+    } catch (error) {
+      console.error('Error removing match override:', error);
+      return;
+    }
+    
+    this.hideHoverCard();
+    this.retryCheck(filmInfo, element);
+  }
+
+  /**
+   * Describe a result for badges and tooltips
+   * States: on_shelf, reference_only, on_loan, held (status unknown), weak_match, not_held, failed
+   * @param {Object} result - Availability result
+   * @returns {Object} - { state, className, badge, tooltip }
+   */
+  describeAvailability(result) {
+    if (result.error) {
+      const reason = result.error === 'Request timeout' ? 'timed out' : `failed (${result.error})`;
+      return { state: 'failed', className: 'hff-status-failed', badge: '⚠ HFF lookup failed', tooltip: `HFF lookup ${reason}` };
+    }
+    
+    if (!this.isHeldResult(result)) {
+      if (result.weakMatch) {
+        const closest = result.closestTitle ? `: closest was "${result.closestTitle}" (${Math.round(result.closestScore)}%)` : '';
+        return { state: 'weak_match', className: 'hff-status-weak', badge: '? Possible match at HFF', tooltip: `${result.note || 'HFF has similar titles, none matched closely enough'}${closest}` };
+      }
+      return { state: 'not_held', className: 'hff-status-not-held', badge: '✕ Not in HFF catalog', tooltip: 'Not in the HFF catalog' };
+    }
+    
+    const copyCount = result.copies ? result.copies.length : 0;
+    const copies = copyCount > 1 ? ` (${copyCount} copies)` : '';
+    
+    switch (result.availability) {
+      case 'on_loan':
+        return { state: 'on_loan', className: 'hff-status-on-loan', badge: '⏳ On loan at HFF', tooltip: `On loan at HFF Mediathek${copies}` };
+      case 'reference_only':
+        return { state: 'reference_only', className: 'hff-status-reference', badge: '📖 Reference only at HFF', tooltip: `Reference only at HFF Mediathek${copies}` };
+      case 'on_shelf':
+        return { state: 'on_shelf', className: 'hff-status-on-shelf', badge: '✓ On shelf at HFF', tooltip: `On shelf at HFF Mediathek${copies}` };
+      default:
+        // Offline lookups, and copies marked "nicht verfügbar", "bestellt" and the like
+        return { state: 'held', className: 'hff-status-held', badge: '✓ Held by HFF – status unknown', tooltip: `Held by HFF Mediathek, copy status unknown${copies}` };
+    }
+  }
+
+  /**
+   * Download every film held by HFF on this page as a CSV for Letterboxd's list importer
+   * Title, Year and LetterboxdURI are importer columns; the HFF columns are ignored by the importer
+   * @returns {number} - Number of exported films
+   */
+  exportCsv() {
+    const held = [...this.results.values()]
+      .filter(({ result }) => this.isHeldResult(result));
+    
+    if (held.length === 0) {
+      return 0;
+    }
+    
+    const rows = [['Title', 'Year', 'LetterboxdURI', 'tmdbID', 'imdbID', 'HFF Permalink', 'HFF Call Number']];
+    held.forEach(({ filmInfo, result }) => {
+      rows.push([
+        filmInfo.title,
+        filmInfo.year,
+        filmInfo.slug ? `https://letterboxd.com/film/${filmInfo.slug}/` : '',
+        filmInfo.tmdbId,
+        filmInfo.imdbId,
+        result.link,
+        result.callNumber
+      ]);
+    });
+    
+    const pageName = window.location.pathname.split('/').filter(Boolean).join('-') || 'letterboxd';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv' }));
+    link.download = `hff-available-${pageName}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    
+    console.log(`📤 Exported ${held.length} HFF films as CSV`);
+    return held.length;
+  }
+
   /**
    * Send message to background script
    * @param {Object} message - Message to send
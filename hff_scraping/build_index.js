@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * HFF Catalog Index Builder
+ *
+ * Compiles the scraped / enriched catalog JSON into the compact lookup index
+ * the extension ships as data/hff_index.json (format documented in catalog_index.js).
+ *
+ * Usage:
+ *   node hff_scraping/build_index.js
+ *   node hff_scraping/build_index.js --input path/to/records.json --output data/hff_index.json
+ *   node hff_scraping/build_index.js --delta-from data/hff_index.json --output hff_index_delta.json
+ *
+ * With --delta-from, only the changes against that older index are written, as a delta update
+ * users can import from the extension's options page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  CATALOG_INDEX_SCHEMA,
+  CATALOG_INDEX_FIELDS,
+  buildPermalink,
+  sortCatalogRecords,
+  validateCatalogIndex,
+  fileCatalogTitles,
+  diffCatalogIndexes
+} = require('../catalog_index');
+const { collectTitleVariants, extractCatalogDirectors, extractProductionYear } = require('../title_matcher');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Default inputs, in merge order. Missing files are skipped.
+const DEFAULT_INPUTS = [
+  path.join(__dirname, 'output', 'cleaned', 'hff_films_match_ready.json'),
+  path.join(__dirname, 'output', 'enriched', 'hff_films_enriched.json')
+];
+const DEFAULT_OUTPUT = path.join(ROOT_DIR, 'data', 'hff_index.json');
+const DEFAULT_DELTA_OUTPUT = path.join(__dirname, 'output', 'hff_index_delta.json');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv without node and script
+ * @returns {Object} - { inputs, output, deltaFrom }
+ */
+function parseArgs(argv) {
+  const args = { inputs: [], output: null, deltaFrom: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--input') {
+      args.inputs.push(path.resolve(argv[++i]));
+    } else if (argv[i] === '--output') {
+      args.output = path.resolve(argv[++i]);
+    } else if (argv[i] === '--delta-from') {
+      args.deltaFrom = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (args.inputs.length === 0) {
+    args.inputs = DEFAULT_INPUTS.filter(file => fs.existsSync(file));
+  }
+  if (!args.output) {
+    args.output = args.deltaFrom ? DEFAULT_DELTA_OUTPUT : DEFAULT_OUTPUT;
+  }
+  return args;
+}
+
+/**
+ * Read catalog records from a JSON file ({ records: [...] } or a bare array)
+ * @param {string} file - Path to JSON file
+ * @returns {Object[]} - Records
+ */
+function readRecords(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : (data.records || []);
+}
+
+/**
+ * Extract a four digit year from a catalog year field ("[2018] ; © 2018" -> "2018")
+ * @param {Object} record - Catalog record
+ * @returns {string} - Year or '' if none
+ */
+function extractYear(record) {
+  const raw = String(record.match_year || record.year || '');
+  const match = raw.match(/\b(1[89]\d{2}|20\d{2})\b/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Merge records from all inputs, collapsing duplicate bvids (first value wins per field)
+ * @param {string[]} inputs - Input files
+ * @returns {Object} - { records: Map<bvid, record>, total, duplicates }
+ */
+function mergeRecords(inputs) {
+  const records = new Map();
+  let total = 0;
+  let duplicates = 0;
+
+  for (const file of inputs) {
+    const fileRecords = readRecords(file);
+    console.log(`📄 ${path.relative(ROOT_DIR, file)}: ${fileRecords.length} records`);
+
+    for (const record of fileRecords) {
+      total++;
+      if (!record.bvid) continue;
+
+      const existing = records.get(record.bvid);
+      if (existing) {
+        duplicates++;
+        for (const [key, value] of Object.entries(record)) {
+          if (existing[key] === undefined || existing[key] === '') {
+            existing[key] = value;
+          }
+        }
+      } else {
+        records.set(record.bvid, { ...record });
+      }
+    }
+  }
+
+  return { records, total, duplicates };
+}
+
+/**
+ * Build the compact index from merged records
+ * @param {Map<string, Object>} records - Records keyed by bvid
+ * @param {string[]} inputs - Input files (recorded as the index source)
+ * @returns {Object} - Catalog index
+ */
+function buildIndex(records, inputs) {
+  const builtAt = new Date();
+  const index = {
+    schema: CATALOG_INDEX_SCHEMA,
+    version: builtAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, ''),
+    builtAt: builtAt.toISOString(),
+    source: inputs.map(file => path.basename(file)),
+    fields: CATALOG_INDEX_FIELDS,
+    records: [],
+    titles: {}
+  };
+
+  for (const record of records.values()) {
+    const year = extractYear(record);
+    const productionYear = extractProductionYear(record);
+
+    // Every title variant the record is found under (see title_matcher.js) - besides the title
+    index.records.push([
+      record.bvid,
+      record.permalink || buildPermalink(record.bvid),
+      record.media_type || null,
+      record.call_number || null,
+      record.tmdb_id || null,
+      record.imdb_id || null,
+      record.title || '',
+      year,
+      productionYear,
+      collectTitleVariants(record)
+        .filter(variant => variant.kind !== 'title')
+        .map(variant => [variant.kind, variant.title]),
+      extractCatalogDirectors(record)
+    ]);
+  }
+
+  sortCatalogRecords(index.records, index.fields);
+  index.titles = fileCatalogTitles(index);
+  return index;
+}
+
+/**
+ * Count keys that resolve to more than one record
+ * @param {Object} index - Catalog index
+ * @returns {Object} - { titleYearKeys, titleYearCollisions, titleCollisions }
+ */
+function collisionStats(index) {
+  let titleYearKeys = 0;
+  let titleYearCollisions = 0;
+  let titleCollisions = 0;
+
+  for (const byYear of Object.values(index.titles)) {
+    const recordsForTitle = new Set();
+    for (const bucket of Object.values(byYear)) {
+      titleYearKeys++;
+      bucket.forEach(recordIndex => recordsForTitle.add(recordIndex));
+      if (bucket.length > 1) titleYearCollisions++;
+    }
+    if (recordsForTitle.size > 1) titleCollisions++;
+  }
+
+  return { titleYearKeys, titleYearCollisions, titleCollisions };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.inputs.length === 0) {
+    console.error('❌ No input files found');
+    process.exit(1);
+  }
+
+  const { records, total, duplicates } = mergeRecords(args.inputs);
+  const index = buildIndex(records, args.inputs);
+  const stats = collisionStats(index);
+
+  let output = index;
+  if (args.deltaFrom) {
+    const base = JSON.parse(fs.readFileSync(args.deltaFrom, 'utf8'));
+    validateCatalogIndex(base);
+    output = diffCatalogIndexes(base, index);
+  }
+
+  const json = JSON.stringify(output);
+  fs.mkdirSync(path.dirname(args.output), { recursive: true });
+  fs.writeFileSync(args.output, json);
+
+  const inputBytes = args.inputs.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+
+  console.log(`\n✅ Wrote ${path.relative(ROOT_DIR, args.output)} (version ${index.version})`);
+  console.log(`📊 Records read:           ${total}`);
+  console.log(`📊 Duplicate bvids merged: ${duplicates}`);
+  console.log(`📊 Records indexed:        ${index.records.length}`);
+  console.log(`📊 Distinct titles:        ${Object.keys(index.titles).length}`);
+  console.log(`📊 Title+year keys:        ${stats.titleYearKeys}`);
+  console.log(`📊 Title+year collisions:  ${stats.titleYearCollisions}`);
+  console.log(`📊 Titles with >1 record:  ${stats.titleCollisions}`);
+  if (args.deltaFrom) {
+    console.log(`📊 Delta from ${output.baseVersion}: ${output.records.length} new or changed, ${output.removed.length} removed`);
+  }
+  console.log(`📦 Size: ${(Buffer.byteLength(json) / 1024).toFixed(1)} KB (input ${(inputBytes / 1024).toFixed(1)} KB)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  extractYear,
+  mergeRecords,
+  buildIndex,
+  collisionStats
+};
@@ -0,0 +1,233 @@
+// Import page script for HFF Library Availability Extension
+// Checks every film of a Letterboxd export CSV (watchlist.csv or a list CSV) against the catalog
+
+// Lookups in flight at once - the background worker throttles WebOPAC requests further
+const IMPORT_CONCURRENCY = 4;
+
+document.addEventListener('DOMContentLoaded', function() {
+  const dropZone = document.getElementById('drop-zone');
+  const fileInput = document.getElementById('file-input');
+  const status = document.getElementById('status');
+  const statusText = document.getElementById('status-text');
+  const progressBar = document.getElementById('progress-bar');
+  const stopButton = document.getElementById('stop-button');
+  const results = document.getElementById('results');
+  const resultsBody = document.getElementById('results-body');
+  const heldOnly = document.getElementById('held-only');
+
+  let entries = [];
+  let sort = { key: null, direction: 1 };
+  let runId = 0;
+  let renderScheduled = false;
+
+  dropZone.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importFile(fileInput.files[0]);
+  });
+
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    if (e.dataTransfer.files[0]) importFile(e.dataTransfer.files[0]);
+  });
+
+  stopButton.addEventListener('click', () => {
+    runId++;
+    stopButton.hidden = true;
+    updateStatus();
+  });
+
+  heldOnly.addEventListener('change', scheduleRender);
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      sort = { key: key, direction: sort.key === key ? -sort.direction : 1 };
+      document.querySelectorAll('th[data-sort]').forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+      th.classList.add(sort.direction === 1 ? 'sorted-asc' : 'sorted-desc');
+      scheduleRender();
+    });
+  });
+
+  /**
+   * Read the export's film rows
+   * List exports start with a list header block; the film table is the one with Name and Year
+   * @param {string} text - CSV content
+   * @returns {Object[]} - [{ position, name, year, uri }]
+   */
+  function readEntries(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    const headerIndex = rows.findIndex(row => row.includes('Name') && row.includes('Year'));
+    if (headerIndex === -1) {
+      throw new Error('No Name/Year columns found - is this a Letterboxd export?');
+    }
+
+    const header = rows[headerIndex];
+    const nameColumn = header.indexOf('Name');
+    const yearColumn = header.indexOf('Year');
+    const uriColumn = header.includes('Letterboxd URI') ? header.indexOf('Letterboxd URI') : header.indexOf('URL');
+
+    return rows.slice(headerIndex + 1)
+      .filter(row => row[nameColumn])
+      .map((row, i) => ({
+        position: i,
+        name: row[nameColumn].trim(),
+        year: row[yearColumn] ? row[yearColumn].trim() : null,
+        uri: uriColumn !== -1 ? row[uriColumn] : null,
+        result: null
+      }));
+  }
+
+  async function importFile(file) {
+    try {
+      entries = readEntries(await file.text());
+    } catch (error) {
+      status.hidden = false;
+      statusText.textContent = `Error: ${error.message}`;
+      return;
+    }
+
+    const currentRun = ++runId;
+    status.hidden = false;
+    stopButton.hidden = false;
+    results.hidden = false;
+    scheduleRender();
+    updateStatus();
+
+    // Simple worker pool over the entries
+    let next = 0;
+    const worker = async () => {
+      while (next < entries.length && currentRun === runId) {
+        const entry = entries[next++];
+        entry.result = await checkEntry(entry);
+        updateStatus();
+        scheduleRender();
+      }
+    };
+    await Promise.all(Array.from({ length: IMPORT_CONCURRENCY }, worker));
+
+    if (currentRun === runId) {
+      stopButton.hidden = true;
+      updateStatus();
+    }
+  }
+
+  function checkEntry(entry) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'CHECK_AVAILABILITY',
+        title: entry.name,
+        year: entry.year,
+        slug: filmSlug(entry.uri)
+      }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve({ available: false, error: chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response' });
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // List exports link to /film/<slug>/, so match corrections apply; watchlist exports use boxd.it short links
+  function filmSlug(uri) {
+    const match = uri && uri.match(/letterboxd\.com\/(?:[^\/]+\/)?film\/([^\/]+)/);
+    return match ? match[1] : null;
+  }
+
+  function updateStatus() {
+    const done = entries.filter(entry => entry.result).length;
+    const held = entries.filter(entry => isHeld(entry.result)).length;
+    statusText.textContent = `${done} of ${entries.length} checked, ${held} held by HFF`;
+    progressBar.style.width = entries.length ? `${(done / entries.length) * 100}%` : '0';
+  }
+
+  function isHeld(result) {
+    return !!result && (result.available || result.availability === 'on_loan');
+  }
+
+  function statusLabel(result) {
+    if (!result) return 'Checking…';
+    if (result.error) return 'Lookup failed';
+    if (!isHeld(result)) return 'Not held';
+
+    const labels = { on_shelf: 'On shelf', on_loan: 'On loan', reference_only: 'Reference only' };
+    return labels[result.availability] || 'Held';
+  }
+
+  function sortValue(entry, key) {
+    const result = entry.result || {};
+    switch (key) {
+      case 'name': return entry.name.toLowerCase();
+      case 'year': return Number(entry.year) || 0;
+      case 'hffTitle': return (isHeld(result) && result.title || '').toLowerCase();
+      case 'callNumber': return (isHeld(result) && result.callNumber || '').toLowerCase();
+      case 'status': return statusLabel(entry.result);
+      case 'matchScore': return isHeld(result) ? result.matchScore || 0 : -1;
+      default: return entry.position;
+    }
+  }
+
+  function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+      renderScheduled = false;
+      render();
+    });
+  }
+
+  function render() {
+    let rows = entries.slice();
+    if (heldOnly.checked) {
+      rows = rows.filter(entry => isHeld(entry.result));
+    }
+    if (sort.key) {
+      rows.sort((a, b) => {
+        const av = sortValue(a, sort.key);
+        const bv = sortValue(b, sort.key);
+        if (av < bv) return -sort.direction;
+        if (av > bv) return sort.direction;
+        return a.position - b.position;
+      });
+    }
+
+    resultsBody.replaceChildren(...rows.map(renderRow));
+  }
+
+  function renderRow(entry) {
+    const result = entry.result || {};
+    const held = isHeld(result);
+    const tr = document.createElement('tr');
+    if (entry.result && !held) tr.className = 'not-held';
+
+    tr.append(
+      cell(entry.name, entry.uri),
+      cell(entry.year || ''),
+      cell(held ? result.title : '', held ? result.link : null),
+      cell(held ? result.callNumber || '' : ''),
+      cell(statusLabel(entry.result)),
+      cell(held && result.matchScore ? `${Math.round(result.matchScore)}%` : '')
+    );
+    return tr;
+  }
+
+  function cell(text, href) {
+    const td = document.createElement('td');
+    if (href) {
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.textContent = text;
+      td.appendChild(link);
+    } else {
+      td.textContent = text;
+    }
+    return td;
+  }
+});
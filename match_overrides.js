@@ -0,0 +1,201 @@
+// Manual match overrides for HFF Library Availability Extension
+//
+// Users can confirm a match, reject it, or re-link a film to a different HFF record. Verdicts
+// are kept per Letterboxd film (slug) in chrome.storage.local and applied by the background
+// worker before any scoring. Shape of one entry:
+//
+//   {
+//     title, year,                 // Letterboxd film the verdict is about
+//     verdict,                     // 'confirmed' | 'rejected' | 'relinked' (latest verdict)
+//     bvid, hffTitle, matchScore,  // Pinned HFF record (confirmed/relinked), or null
+//     pinnedVerdict,               // 'confirmed' | 'relinked' - how the pinned record got pinned, or null
+//     rejected: [{ bvid, title, matchScore }],
+//     updatedAt                    // ISO date
+//   }
+
+const MATCH_OVERRIDES_KEY = 'hffMatchOverrides';
+
+// Hover card wording for each verdict. A rejection excludes a record, so the shown match is another one
+const MATCH_VERDICT_LABELS = {
+  confirmed: 'Confirmed by you',
+  rejected: 'Earlier match rejected by you',
+  relinked: 'Re-linked by you'
+};
+
+// Columns of the exported gold set, in CSV order
+const GOLD_SET_FIELDS = ['slug', 'title', 'year', 'bvid', 'hffTitle', 'verdict', 'matchScore', 'updatedAt'];
+
+/**
+ * Load all overrides
+ * @returns {Promise<Object>} - { slug: override }
+ */
+async function loadMatchOverrides() {
+  const data = await chrome.storage.local.get(MATCH_OVERRIDES_KEY);
+  return data[MATCH_OVERRIDES_KEY] || {};
+}
+
+/**
+ * Get the override for one Letterboxd film
+ * @param {string} slug - Letterboxd film slug
+ * @returns {Promise<Object|null>} - Override or null
+ */
+async function getMatchOverride(slug) {
+  if (!slug) return null;
+  const overrides = await loadMatchOverrides();
+  return overrides[slug] || null;
+}
+
+/**
+ * Store (or with null, remove) the override for one Letterboxd film
+ * @param {string} slug - Letterboxd film slug
+ * @param {Object|null} override - Override entry
+ * @returns {Promise<void>}
+ */
+async function saveMatchOverride(slug, override) {
+  const overrides = await loadMatchOverrides();
+  if (override) {
+    overrides[slug] = override;
+  } else {
+    delete overrides[slug];
+  }
+  await chrome.storage.local.set({ [MATCH_OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * Apply a user verdict to a film's override entry
+ * Re-linking to another record also rejects the record that was matched before.
+ * @param {Object|null} override - Current override for the film
+ * @param {string} verdict - 'confirmed' | 'rejected' | 'relinked'
+ * @param {Object} film - { title, year } on Letterboxd
+ * @param {Object} record - HFF record the verdict is about: { bvid, title, matchScore }
+ * @param {Object} currentMatch - Record the matcher picked before a re-link (optional)
+ * @returns {Object} - New override entry
+ */
+function addMatchVerdict(override, verdict, film, record, currentMatch = null) {
+  const next = {
+    title: film.title,
+    year: film.year || null,
+    verdict: verdict,
+    bvid: override ? override.bvid : null,
+    hffTitle: override ? override.hffTitle : null,
+    matchScore: override ? override.matchScore : null,
+    pinnedVerdict: override ? getPinnedVerdict(override) : null,
+    rejected: override ? override.rejected.slice() : [],
+    updatedAt: new Date().toISOString()
+  };
+
+  const reject = (rejectedRecord) => {
+    if (!rejectedRecord || !rejectedRecord.bvid) return;
+    next.rejected = next.rejected.filter(r => r.bvid !== rejectedRecord.bvid);
+    next.rejected.push({ bvid: rejectedRecord.bvid, title: rejectedRecord.title, matchScore: rejectedRecord.matchScore });
+  };
+
+  if (verdict === 'rejected') {
+    reject(record);
+    if (next.bvid === record.bvid) {
+      next.bvid = null;
+      next.hffTitle = null;
+      next.matchScore = null;
+      next.pinnedVerdict = null;
+    }
+  } else {
+    if (verdict === 'relinked' && currentMatch && currentMatch.bvid !== record.bvid) {
+      reject(currentMatch);
+    }
+    next.rejected = next.rejected.filter(r => r.bvid !== record.bvid);
+    next.bvid = record.bvid;
+    next.hffTitle = record.title;
+    next.matchScore = record.matchScore;
+    next.pinnedVerdict = verdict;
+  }
+
+  return next;
+}
+
+/**
+ * The verdict that pinned an override's record
+ * The latest verdict can be a rejection of some other record. Entries saved before
+ * pinnedVerdict was stored fall back to the latest verdict, counting a rejection as confirmed.
+ * @param {Object} override - Override entry
+ * @returns {string|null} - 'confirmed' | 'relinked', or null if no record is pinned
+ */
+function getPinnedVerdict(override) {
+  if (!override.bvid) return null;
+  if (override.pinnedVerdict) return override.pinnedVerdict;
+  return override.verdict === 'rejected' ? 'confirmed' : override.verdict;
+}
+
+/**
+ * Merge overrides exported by someone else into the stored ones
+ * The newer entry wins when both have a verdict for the same film.
+ * @param {Object} imported - { slug: override } as written by the options page export
+ * @returns {Promise<number>} - Number of entries added or updated
+ */
+async function importMatchOverrides(imported) {
+  if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+    throw new Error('Expected an object of overrides keyed by Letterboxd slug');
+  }
+
+  const overrides = await loadMatchOverrides();
+  let changed = 0;
+
+  Object.entries(imported).forEach(([slug, override]) => {
+    if (!override || !Array.isArray(override.rejected) || !override.verdict) {
+      throw new Error(`Invalid override for "${slug}"`);
+    }
+    const existing = overrides[slug];
+    if (!existing || (override.updatedAt || '') > (existing.updatedAt || '')) {
+      overrides[slug] = override;
+      changed++;
+    }
+  });
+
+  await chrome.storage.local.set({ [MATCH_OVERRIDES_KEY]: overrides });
+  return changed;
+}
+
+/**
+ * Flatten overrides into labelled Letterboxd -> HFF pairs for matcher evaluation
+ * 'confirmed' and 'relinked' rows are correct pairs, 'rejected' rows are wrong ones.
+ * matchScore is the score the matcher gave the record (null for offline candidates).
+ * @param {Object} overrides - { slug: override }
+ * @returns {Object[]} - Rows keyed by GOLD_SET_FIELDS, sorted by slug
+ */
+function buildGoldSet(overrides) {
+  const rows = [];
+
+  Object.keys(overrides).sort().forEach(slug => {
+    const override = overrides[slug];
+    const row = (bvid, hffTitle, verdict, matchScore) => ({
+      slug: slug,
+      title: override.title,
+      year: override.year,
+      bvid: bvid,
+      hffTitle: hffTitle,
+      verdict: verdict,
+      matchScore: matchScore === undefined ? null : matchScore,
+      updatedAt: override.updatedAt
+    });
+
+    if (override.bvid) {
+      rows.push(row(override.bvid, override.hffTitle, getPinnedVerdict(override), override.matchScore));
+    }
+    override.rejected.forEach(rejected => {
+      rows.push(row(rejected.bvid, rejected.title, 'rejected', rejected.matchScore));
+    });
+  });
+
+  return rows;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MATCH_OVERRIDES_KEY,
+    GOLD_SET_FIELDS,
+    MATCH_VERDICT_LABELS,
+    addMatchVerdict,
+    getPinnedVerdict,
+    buildGoldSet
+  };
+}
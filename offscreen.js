@@ -0,0 +1,17 @@
+// Offscreen document for HFF Library Availability Extension
+// The service worker has no DOMParser, so it hands WebOPAC pages to this document and gets
+// structured hits or copies back (see parseWebopacHtml in background.js)
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen' || message.type !== 'PARSE_WEBOPAC') {
+    return;
+  }
+
+  try {
+    const doc = new DOMParser().parseFromString(message.html, 'text/html');
+    const result = message.kind === 'copies' ? parseCopiesTableDocument(doc) : parseHitListDocument(doc);
+    sendResponse({ result: result });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+});
@@ -0,0 +1,189 @@
+// Options page script for HFF Library Availability Extension
+
+document.addEventListener('DOMContentLoaded', function() {
+  const saveStatus = document.getElementById('save-status');
+  const thresholdValue = document.getElementById('matchThresholdValue');
+  let saveStatusTimeout = null;
+
+  // Read a setting's value from its form control
+  function readField(key) {
+    const field = document.getElementById(key);
+    if (field.classList.contains('checkbox-group')) {
+      return [...field.querySelectorAll('input:checked')].map(input => input.value);
+    }
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'number' || field.type === 'range') return Number(field.value);
+    return field.value;
+  }
+
+  // Show a setting's value in its form control
+  function writeField(key, value) {
+    const field = document.getElementById(key);
+    if (field.classList.contains('checkbox-group')) {
+      field.querySelectorAll('input').forEach(input => {
+        input.checked = value.includes(input.value);
+      });
+    } else if (field.type === 'checkbox') {
+      field.checked = value;
+    } else {
+      field.value = value;
+    }
+  }
+
+  function render(settings) {
+    Object.keys(DEFAULT_SETTINGS).forEach(key => writeField(key, settings[key]));
+    thresholdValue.textContent = settings.matchThreshold;
+  }
+
+  function showSaved() {
+    saveStatus.textContent = 'Saved';
+    clearTimeout(saveStatusTimeout);
+    saveStatusTimeout = setTimeout(() => {
+      saveStatus.textContent = '';
+    }, 1500);
+  }
+
+  loadSettings().then(render);
+
+  // Save each setting as soon as it changes - background and content scripts pick it up live
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    const field = document.getElementById(key);
+
+    field.addEventListener('change', function() {
+      const value = readField(key);
+      if (field.type === 'number' && (Number.isNaN(value) || value < Number(field.min) || value > Number(field.max))) {
+        writeField(key, DEFAULT_SETTINGS[key]);
+        return;
+      }
+      saveSettings({ [key]: value }).then(showSaved);
+    });
+  });
+
+  document.getElementById('matchThreshold').addEventListener('input', function() {
+    thresholdValue.textContent = this.value;
+  });
+
+  // Imported catalog index updates (see catalog_store.js)
+  const catalogInfo = document.getElementById('catalog-index-info');
+  const catalogStatus = document.getElementById('catalog-index-status');
+  const catalogFile = document.getElementById('catalog-index-file');
+  const catalogRollback = document.getElementById('catalog-index-rollback');
+
+  function renderCatalogIndex() {
+    chrome.runtime.sendMessage({ type: 'GET_CATALOG_INFO' }, info => {
+      if (!info || info.error) {
+        catalogInfo.textContent = `Catalog index unavailable${info ? `: ${info.error}` : ''}`;
+        return;
+      }
+      const builtAt = info.builtAt ? new Date(info.builtAt).toLocaleDateString() : 'unknown date';
+      const origin = info.origin === 'imported'
+        ? `imported ${new Date(info.importedAt).toLocaleString()}${info.fileName ? ` from ${info.fileName}` : ''}`
+        : 'bundled with the extension';
+      catalogInfo.textContent = `Version ${info.version}, built ${builtAt}, ${info.records} records - ${origin}`;
+      catalogRollback.disabled = info.origin !== 'imported';
+    });
+  }
+
+  // The service worker drops its loaded index and cached results, then reloads
+  function catalogIndexChanged() {
+    chrome.runtime.sendMessage({ type: 'CATALOG_INDEX_CHANGED' }, renderCatalogIndex);
+  }
+
+  renderCatalogIndex();
+
+  document.getElementById('catalog-index-import').addEventListener('click', () => catalogFile.click());
+  catalogFile.addEventListener('change', async function() {
+    const file = catalogFile.files[0];
+    catalogFile.value = '';
+    if (!file) return;
+
+    catalogStatus.textContent = 'Importing…';
+    try {
+      const index = await importCatalogIndexUpdate(JSON.parse(await file.text()), file.name);
+      catalogStatus.textContent = `Imported version ${index.version}`;
+      catalogIndexChanged();
+    } catch (error) {
+      catalogStatus.textContent = `Import failed: ${error.message}`;
+    }
+  });
+
+  catalogRollback.addEventListener('click', async function() {
+    if (!confirm('Discard the imported catalog index and use the bundled one?')) return;
+    try {
+      await rollbackCatalogIndex();
+      catalogStatus.textContent = 'Rolled back';
+      catalogIndexChanged();
+    } catch (error) {
+      catalogStatus.textContent = `Rollback failed: ${error.message}`;
+    }
+  });
+
+  // Match corrections made from badge hover cards (see match_overrides.js)
+  const overridesCount = document.getElementById('overrides-count');
+  const overridesStatus = document.getElementById('overrides-status');
+  const overridesFile = document.getElementById('overrides-file');
+
+  function renderOverrides() {
+    loadMatchOverrides().then(overrides => {
+      const count = Object.keys(overrides).length;
+      overridesCount.textContent = count === 1 ? '1 film corrected' : `${count} films corrected`;
+    });
+  }
+
+  renderOverrides();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[MATCH_OVERRIDES_KEY]) renderOverrides();
+  });
+
+  function download(content, type, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  document.getElementById('overrides-export').addEventListener('click', async function() {
+    const overrides = await loadMatchOverrides();
+    download(JSON.stringify(overrides, null, 2), 'application/json', 'hff-match-corrections.json');
+  });
+
+  document.getElementById('gold-set-json').addEventListener('click', async function() {
+    const goldSet = buildGoldSet(await loadMatchOverrides());
+    download(JSON.stringify(goldSet, null, 2), 'application/json', 'hff-gold-set.json');
+  });
+
+  document.getElementById('gold-set-csv').addEventListener('click', async function() {
+    const goldSet = buildGoldSet(await loadMatchOverrides());
+    const rows = [GOLD_SET_FIELDS, ...goldSet.map(row => GOLD_SET_FIELDS.map(field => row[field]))];
+    download(toCsv(rows), 'text/csv', 'hff-gold-set.csv');
+  });
+
+  document.getElementById('overrides-import').addEventListener('click', () => overridesFile.click());
+  overridesFile.addEventListener('change', async function() {
+    const file = overridesFile.files[0];
+    overridesFile.value = '';
+    if (!file) return;
+
+    try {
+      const changed = await importMatchOverrides(JSON.parse(await file.text()));
+      overridesStatus.textContent = `Imported ${changed} corrections`;
+    } catch (error) {
+      overridesStatus.textContent = `Import failed: ${error.message}`;
+    }
+  });
+
+  document.getElementById('overrides-clear').addEventListener('click', function() {
+    if (!confirm('Remove all match corrections?')) return;
+    chrome.storage.local.remove(MATCH_OVERRIDES_KEY).then(() => {
+      overridesStatus.textContent = 'Cleared';
+    });
+  });
+
+  document.getElementById('reset-button').addEventListener('click', function() {
+    saveSettings(DEFAULT_SETTINGS).then(() => {
+      render(DEFAULT_SETTINGS);
+      showSaved();
+    });
+  });
+});
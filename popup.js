@@ -5,6 +5,13 @@ document.addEventListener('DOMContentLoaded', function() {
   const scanText = document.getElementById('scan-text');
   const scanSpinner = document.getElementById('scan-spinner');
   const statusText = document.getElementById('status-text');
+  const exportButton = document.getElementById('export-button');
+  const notHeldView = document.getElementById('not-held-view');
+  const sortButton = document.getElementById('sort-button');
+  const catalogInfo = document.getElementById('catalog-info');
+  
+  // Page types whose poster grid can be reordered (year browse pages count as 'films')
+  const SORTABLE_PAGE_TYPES = ['list', 'watchlist', 'films'];
   
   // Check if we're on a Letterboxd page
   chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
@@ -15,6 +22,7 @@ document.addEventListener('DOMContentLoaded', function() {
       statusText.textContent = 'Extension is ready. Click "Scan for HFF" to check film availability.';
       statusText.style.color = '#333';
       scanButton.disabled = false;
+      exportButton.disabled = false;
       
       // Check current scan status
       checkScanStatus();
@@ -25,6 +33,17 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
   
+  // Show which catalog index offline and hybrid lookups use (bundled or imported from the options page)
+  chrome.runtime.sendMessage({type: 'GET_CATALOG_INFO'}, function(info) {
+    if (chrome.runtime.lastError || !info || info.error) {
+      return;
+    }
+    
+    const builtAt = info.builtAt ? new Date(info.builtAt).toLocaleDateString() : 'unknown date';
+    const origin = info.origin === 'imported' ? `imported${info.fileName ? ` (${info.fileName})` : ''}` : 'bundled';
+    catalogInfo.textContent = `Catalog index: built ${builtAt} · ${info.records} records · ${origin}`;
+  });
+  
   // Add click handler for the scan button
   scanButton.addEventListener('click', function() {
     if (scanButton.disabled) return;
@@ -42,6 +61,60 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // Add click handler for the export button
+  exportButton.addEventListener('click', function() {
+    chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+      chrome.tabs.sendMessage(tabs[0].id, {type: 'EXPORT_CSV'}, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          console.error('Error exporting results:', chrome.runtime.lastError);
+          statusText.textContent = 'Error: Could not export. Please refresh the page.';
+          statusText.style.color = '#e74c3c';
+        } else if (response.count === 0) {
+          statusText.textContent = 'No HFF films found on this page yet. Scan first, then export.';
+          statusText.style.color = '#666';
+        } else {
+          statusText.textContent = `Exported ${response.count} films. Import the CSV as a new list on Letterboxd.`;
+          statusText.style.color = '#333';
+        }
+      });
+    });
+  });
+  
+  // Add click handler for the sort button
+  sortButton.addEventListener('click', function() {
+    const restore = sortButton.dataset.sorted === 'true';
+    
+    chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+      chrome.tabs.sendMessage(tabs[0].id, {type: restore ? 'RESTORE_ORDER' : 'SORT_BY_AVAILABILITY'}, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          console.error('Error sorting grid:', chrome.runtime.lastError);
+          statusText.textContent = 'Error: Could not sort. Please refresh the page.';
+          statusText.style.color = '#e74c3c';
+          return;
+        }
+        
+        setSortButton(!restore);
+        if (!restore) {
+          statusText.textContent = `Sorted ${response.count} films: available first, then on loan. Films still being checked move as results arrive.`;
+          statusText.style.color = '#333';
+        }
+      });
+    });
+  });
+  
+  function setSortButton(sorted) {
+    sortButton.dataset.sorted = sorted ? 'true' : 'false';
+    sortButton.textContent = sorted ? 'Restore original order' : 'Sort by HFF availability';
+  }
+  
+  // Dim/hide posters without an HFF match - content scripts follow the setting live
+  loadSettings().then(settings => {
+    notHeldView.value = settings.notHeldView;
+  });
+  notHeldView.addEventListener('change', function() {
+    saveSettings({ notHeldView: notHeldView.value });
+  });
+  
   // Add click handler for the catalog link
   const catalogLink = document.querySelector('.link');
   catalogLink.addEventListener('click', function(e) {
@@ -49,6 +122,18 @@ document.addEventListener('DOMContentLoaded', function() {
     chrome.tabs.create({url: 'https://webopac.hff-muc.de'});
   });
   
+  // Add click handler for the CSV import link
+  document.getElementById('import-link').addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.tabs.create({url: chrome.runtime.getURL('import.html')});
+  });
+  
+  // Add click handler for the settings link
+  document.getElementById('settings-link').addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
   function startScan(tabId) {
     scanButton.disabled = true;
     scanText.textContent = 'Scanning...';
@@ -66,6 +151,7 @@ document.addEventListener('DOMContentLoaded', function() {
         scanButton.disabled = false;
         scanText.textContent = 'Stop Scan';
         scanSpinner.style.display = 'none';
+        checkScanStatus();
       }
     });
   }
@@ -80,6 +166,8 @@ document.addEventListener('DOMContentLoaded', function() {
         console.error('Error stopping scan:', chrome.runtime.lastError);
       }
       resetScanButton();
+      sortButton.disabled = true;
+      setSortButton(false);
       statusText.textContent = 'Scan stopped. Click "Scan for HFF" to scan again.';
       statusText.style.color = '#666';
     });
@@ -96,11 +184,30 @@ document.addEventListener('DOMContentLoaded', function() {
       const currentTab = tabs[0];
       
       chrome.tabs.sendMessage(currentTab.id, {type: 'GET_STATUS'}, function(response) {
-        if (!chrome.runtime.lastError && response && response.isScanning) {
+        if (chrome.runtime.lastError || !response) {
+          return;
+        }
+        
+        // Sorting is undone when the scan stops, so it's only offered during a scan
+        sortButton.disabled = !(response.isScanning && SORTABLE_PAGE_TYPES.includes(response.pageType));
+        setSortButton(response.gridSorted);
+        
+        if (response.isScanning) {
           scanText.textContent = 'Stop Scan';
           scanSpinner.style.display = 'none';
-          statusText.textContent = `Scanning... Found ${response.processedCount} films.`;
+          const trigger = response.override === 'on' ? '' : ' (auto-scan)';
+          const { total, checked, held, onShelf, bySource } = response.coverage;
+          const progress = checked < total ? ` ${checked} of ${total} checked.` : '';
+          const sources = Object.keys(RESULT_SOURCE_LABELS)
+            .filter(source => bySource[source])
+            .map(source => `${RESULT_SOURCE_LABELS[source]}: ${bySource[source]}`)
+            .join(', ');
+          statusText.textContent = `Scanning${trigger}... ${held} of ${total} films are held by HFF (${onShelf} on shelf).${progress}` +
+            (sources ? ` Answered by ${sources}.` : '');
           statusText.style.color = '#333';
+        } else if (response.autoScan && response.override === 'off') {
+          statusText.textContent = 'Auto-scan is paused in this tab. Click "Scan for HFF" to resume.';
+          statusText.style.color = '#666';
         }
       });
     });
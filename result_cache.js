@@ -0,0 +1,198 @@
+// Persistent result cache for HFF Library Availability Extension
+//
+// Lookup results are kept in memory and mirrored to chrome.storage.local, so they survive
+// the MV3 service worker being suspended. Entries expire by TTL, the whole cache is dropped
+// when RESULT_CACHE_SCHEMA changes, and the least recently used entries are evicted above
+// the size cap.
+
+// Bump whenever the shape of cached results changes
+const RESULT_CACHE_SCHEMA = 3;
+const RESULT_CACHE_STORAGE_KEY = 'hffResultCache';
+
+const resultCacheConfig = {
+  notFoundTtl: 7 * 24 * 60 * 60 * 1000, // "not in catalog" rarely changes
+  statusTtl: 60 * 60 * 1000,            // copy status (on shelf / on loan) changes daily
+  maxEntries: 5000
+};
+
+// key -> { result, timestamp, lastAccess }, in least-recently-used order
+let resultCache = null;
+let resultCacheLoadPromise = null;
+let resultCacheSaveTimeout = null;
+
+/**
+ * Override cache TTLs and size cap
+ * @param {Object} config - Any of { notFoundTtl, statusTtl, maxEntries }
+ */
+function configureResultCache(config) {
+  Object.assign(resultCacheConfig, config);
+}
+
+/**
+ * Load the cache from chrome.storage.local once per service worker lifetime
+ * @returns {Promise<Map>} - In-memory cache
+ */
+async function ensureResultCache() {
+  if (resultCache) {
+    return resultCache;
+  }
+
+  if (!resultCacheLoadPromise) {
+    resultCacheLoadPromise = chrome.storage.local.get(RESULT_CACHE_STORAGE_KEY)
+      .then(data => {
+        const stored = data[RESULT_CACHE_STORAGE_KEY];
+        resultCache = new Map();
+
+        if (stored && stored.schema === RESULT_CACHE_SCHEMA) {
+          Object.entries(stored.entries)
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess)
+            .forEach(([key, entry]) => resultCache.set(key, entry));
+          pruneResultCache();
+          console.log(`💾 Loaded ${resultCache.size} cached results`);
+        } else if (stored) {
+          console.log(`💾 Dropping result cache with schema ${stored.schema}`);
+          scheduleResultCacheSave();
+        }
+        return resultCache;
+      })
+      .finally(() => {
+        resultCacheLoadPromise = null;
+      });
+  }
+
+  return resultCacheLoadPromise;
+}
+
+/**
+ * Time-to-live for a result, or 0 if it shouldn't be cached at all
+ * @param {Object} result - Search result object
+ * @returns {number} - TTL in milliseconds
+ */
+function getResultTtl(result) {
+  if (result.error) return 0;
+  if (result.available || result.availability === 'on_loan') return resultCacheConfig.statusTtl;
+  return resultCacheConfig.notFoundTtl;
+}
+
+/**
+ * Get a cached result if it hasn't expired
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Cached result or null
+ */
+async function getCachedResult(key) {
+  const cache = await ensureResultCache();
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.timestamp > getResultTtl(entry.result)) {
+    cache.delete(key);
+    scheduleResultCacheSave();
+    return null;
+  }
+
+  // Move to the most recently used end
+  entry.lastAccess = Date.now();
+  cache.delete(key);
+  cache.set(key, entry);
+  scheduleResultCacheSave();
+  return entry.result;
+}
+
+/**
+ * Store a result (errors are never cached)
+ * @param {string} key - Cache key
+ * @param {Object} result - Search result object
+ */
+async function setCachedResult(key, result) {
+  if (getResultTtl(result) === 0) return;
+
+  const cache = await ensureResultCache();
+  const now = Date.now();
+  cache.delete(key);
+  cache.set(key, { result: result, timestamp: now, lastAccess: now });
+
+  while (cache.size > resultCacheConfig.maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+  scheduleResultCacheSave();
+}
+
+/**
+ * Remove expired entries
+ */
+function pruneResultCache() {
+  if (!resultCache) return;
+
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, entry] of resultCache.entries()) {
+    if (now - entry.timestamp > getResultTtl(entry.result)) {
+      resultCache.delete(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`💾 Pruned ${removed} expired cache entries`);
+    scheduleResultCacheSave();
+  }
+}
+
+/**
+ * Remove every cached result
+ */
+async function clearResultCache() {
+  const cache = await ensureResultCache();
+  cache.clear();
+  scheduleResultCacheSave();
+}
+
+/**
+ * Write the cache back to chrome.storage.local (debounced - lookups come in bursts)
+ */
+function scheduleResultCacheSave() {
+  clearTimeout(resultCacheSaveTimeout);
+  resultCacheSaveTimeout = setTimeout(saveResultCache, 1000);
+}
+
+/**
+ * Write the cache to chrome.storage.local
+ * If the write fails (e.g. storage quota exceeded), the least recently used half of the
+ * entries is dropped and the write retried once; after that the cache stays memory-only
+ * until the next change.
+ * @param {boolean} isRetry - Whether this is the retry after a failed write
+ * @returns {Promise<void>}
+ */
+async function saveResultCache(isRetry = false) {
+  try {
+    await chrome.storage.local.set({
+      [RESULT_CACHE_STORAGE_KEY]: {
+        schema: RESULT_CACHE_SCHEMA,
+        entries: Object.fromEntries(resultCache || [])
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error saving result cache:', error);
+    if (isRetry || !resultCache || resultCache.size === 0) return;
+
+    const dropCount = Math.ceil(resultCache.size / 2);
+    [...resultCache.keys()].slice(0, dropCount).forEach(key => resultCache.delete(key));
+    console.log(`💾 Dropped ${dropCount} least recently used cache entries, retrying save`);
+    await saveResultCache(true);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESULT_CACHE_SCHEMA,
+    RESULT_CACHE_STORAGE_KEY,
+    configureResultCache,
+    getResultTtl,
+    getCachedResult,
+    setCachedResult,
+    pruneResultCache,
+    clearResultCache,
+    saveResultCache
+  };
+}
@@ -0,0 +1,66 @@
+// Settings for HFF Library Availability Extension
+//
+// Stored in chrome.storage.sync so they follow the user across browsers. Shared by the
+// background service worker, the content script and the options page.
+
+const DEFAULT_SETTINGS = {
+  lookupMode: 'live',          // 'live' | 'offline' | 'hybrid'
+  refreshOfflineStatus: false, // Hybrid mode: fetch live copy status for catalog index hits
+  hybridMinScore: 100,         // Hybrid mode: catalog index match score needed to skip the live search
+  matchThreshold: 70,          // Minimum title similarity (0-100) to accept a match
+  dvdBlurayOnly: true,         // Ignore hits that aren't DVD or Blu-ray
+  maxConcurrentRequests: 8,    // Parallel WebOPAC requests
+  requestDelay: 100,           // Politeness delay before each WebOPAC request (ms)
+  maxQueriesPerLookup: 3,      // WebOPAC searches per film, counting alternate queries tried when nothing matches
+  notFoundTtlDays: 7,          // How long "not in catalog" results are cached
+  statusTtlHours: 1,           // How long copy status (on shelf / on loan) is cached
+  autoScanPageTypes: [],       // Page types scanned on load: 'film', 'watchlist', 'list', 'diary', 'films'
+  notHeldView: 'show'          // Posters without an HFF match: 'show' | 'dim' | 'hide'
+};
+
+// Labels for result.source, the lookup that answered (override, catalog index or WebOPAC)
+const RESULT_SOURCE_LABELS = {
+  override: 'Your correction',
+  offline: 'Catalog index',
+  live: 'Live WebOPAC search'
+};
+
+// Settings whose change invalidates previously computed lookup results
+const MATCHING_SETTINGS = ['lookupMode', 'refreshOfflineStatus', 'hybridMinScore', 'matchThreshold', 'dvdBlurayOnly', 'maxQueriesPerLookup'];
+
+/**
+ * Load settings, filling in defaults for anything not stored yet
+ * @returns {Promise<Object>} - Settings object
+ */
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+/**
+ * Save some or all settings
+ * @param {Object} changes - Settings to store
+ * @returns {Promise<void>}
+ */
+function saveSettings(changes) {
+  return chrome.storage.sync.set(changes);
+}
+
+/**
+ * Call back whenever settings change (from the options page or another browser)
+ * @param {Function} callback - Called with (changedSettings, changedKeys)
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    const changedKeys = Object.keys(changes).filter(key => key in DEFAULT_SETTINGS);
+    if (changedKeys.length === 0) return;
+
+    const changedSettings = {};
+    changedKeys.forEach(key => {
+      changedSettings[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULT_SETTINGS[key];
+    });
+    callback(changedSettings, changedKeys);
+  });
+}
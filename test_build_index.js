@@ -0,0 +1,69 @@
+// Tests for the index builder: merging scraped and enriched records, catalog years
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { extractYear, mergeRecords, buildIndex } = require('./hff_scraping/build_index');
+
+/**
+ * Write input files to a temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} files - File name -> parsed JSON content
+ * @returns {string[]} - Paths in the order given
+ */
+function writeInputs(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hff-build-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return Object.entries(files).map(([name, content]) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  });
+}
+
+test('reads the year from catalog year fields', () => {
+  assert.strictEqual(extractYear({ year: '[2018] ; © 2018' }), '2018');
+  assert.strictEqual(extractYear({ year: '© 2008' }), '2008');
+  assert.strictEqual(extractYear({ year: '[2018] ; © 2018', match_year: '2017' }), '2017');
+  assert.strictEqual(extractYear({ year: 'o.J.' }), '');
+  assert.strictEqual(extractYear({}), '');
+});
+
+test('collapses duplicate bvids, keeping the first value of each field', (t) => {
+  const inputs = writeInputs(t, {
+    'hff_films_match_ready.json': [
+      { bvid: 'BV035089844', title: '1 Mord für 2', year: '[2008] ; © 2008', call_number: '' },
+      { bvid: 'BV045399088', title: '2 + 2 = 22', year: '2018' },
+      { title: 'Record without bvid' }
+    ],
+    'hff_films_enriched.json': {
+      records: [
+        { bvid: 'BV035089844', title: 'Mord für zwei', year: '2007', call_number: 'DVD 2008/117', tmdb_id: 12645 },
+        { bvid: 'BV039145978', title: '2 Romeos für Julia', year: '2010' }
+      ]
+    }
+  });
+
+  const { records, total, duplicates } = mergeRecords(inputs);
+
+  assert.strictEqual(total, 5);
+  assert.strictEqual(duplicates, 1);
+  assert.deepStrictEqual([...records.keys()], ['BV035089844', 'BV045399088', 'BV039145978']);
+  assert.deepStrictEqual(records.get('BV035089844'), {
+    bvid: 'BV035089844',
+    title: '1 Mord für 2',
+    year: '[2008] ; © 2008',
+    call_number: 'DVD 2008/117',
+    tmdb_id: 12645
+  });
+
+  const index = buildIndex(records, inputs);
+  const row = index.records.find(record => record[0] === 'BV035089844');
+  assert.deepStrictEqual(index.source, ['hff_films_match_ready.json', 'hff_films_enriched.json']);
+  assert.strictEqual(row[index.fields.indexOf('year')], '2008');
+});
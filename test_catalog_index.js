@@ -0,0 +1,102 @@
+// Tests for the catalog index: delta round trip, validation, version order and hybrid confidence
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  CATALOG_INDEX_SCHEMA,
+  CATALOG_INDEX_FIELDS,
+  compareCatalogVersions,
+  sortCatalogRecords,
+  validateCatalogIndex,
+  fileCatalogTitles,
+  applyCatalogDelta,
+  diffCatalogIndexes,
+  lookupCatalogIndex,
+  isConfidentCatalogMatch,
+  buildPermalink
+} = require('./catalog_index');
+
+// Default settings.hybridMinScore
+const HYBRID_MIN_SCORE = 100;
+
+function row(bvid, title, year, productionYear = year) {
+  return [bvid, buildPermalink(bvid), 'DVD-Video', null, null, null, title, year, productionYear, [], []];
+}
+
+// A full index the way build_index.js writes it
+function buildTestIndex(version, records) {
+  const index = {
+    schema: CATALOG_INDEX_SCHEMA,
+    version: version,
+    builtAt: new Date().toISOString(),
+    source: ['hff_films_enriched.json'],
+    fields: CATALOG_INDEX_FIELDS,
+    records: sortCatalogRecords(records, CATALOG_INDEX_FIELDS)
+  };
+  index.titles = fileCatalogTitles(index);
+  return index;
+}
+
+const oldIndex = buildTestIndex('20260101T120000', [
+  row('BV035089844', '1 Mord für 2', '2008', '2007'),
+  row('BV037412477', '1/57 Versuch mit synthetischem Ton (Test)', '1957'),
+  row('BV045399088', '2 + 2 = 22', '2018', '2017')
+]);
+
+const newIndex = buildTestIndex('20260301T120000', [
+  row('BV035089844', '1 Mord für 2', '2008', '2007'),
+  row('BV039145978', '2 Romeos für Julia', '2010', '2008'),
+  row('BV045399088', '2 + 2 = 22 - The Gobi Desert Sessions', '2018', '2017')
+]);
+
+test('applying a delta reproduces the index it was built from', () => {
+  const delta = diffCatalogIndexes(oldIndex, newIndex);
+
+  assert.deepStrictEqual(delta.records.map(record => record[0]), ['BV039145978', 'BV045399088']);
+  assert.deepStrictEqual(delta.removed, ['BV037412477']);
+  validateCatalogIndex(delta);
+
+  assert.deepStrictEqual(applyCatalogDelta(oldIndex, delta), newIndex);
+});
+
+test('refuses a delta built against another version', () => {
+  const delta = diffCatalogIndexes(oldIndex, newIndex);
+
+  assert.throws(() => applyCatalogDelta(newIndex, delta), /applies to index 20260101T120000/);
+});
+
+test('rejects files that are not a catalog index', () => {
+  assert.throws(() => validateCatalogIndex([]), /Not a catalog index/);
+  assert.throws(() => validateCatalogIndex({ ...newIndex, schema: 1 }), /schema 1/);
+  assert.throws(() => validateCatalogIndex({ ...newIndex, version: 'latest' }), /no valid version/);
+  assert.throws(() => validateCatalogIndex({ ...newIndex, records: [['not a bvid']] }), /record #1/);
+  assert.throws(() => validateCatalogIndex({ ...newIndex, titles: undefined }), /title map/);
+});
+
+test('hybrid mode only answers from the index when title and year agree', () => {
+  const offlineResult = (title, year) => {
+    const match = lookupCatalogIndex(newIndex, title, year);
+    return match ? { available: true, matchScore: match.matchScore } : { available: false };
+  };
+
+  assert.ok(isConfidentCatalogMatch(offlineResult('1 Mord für 2', '2007'), HYBRID_MIN_SCORE));
+  assert.ok(isConfidentCatalogMatch(offlineResult('1 Mord für 2', '2008'), HYBRID_MIN_SCORE));
+
+  // A year off, no year to compare, or no match: searched live
+  assert.strictEqual(offlineResult('1 Mord für 2', '2006').matchScore, 90);
+  assert.ok(!isConfidentCatalogMatch(offlineResult('1 Mord für 2', '2006'), HYBRID_MIN_SCORE));
+  assert.ok(!isConfidentCatalogMatch(offlineResult('1 Mord für 2', null), HYBRID_MIN_SCORE));
+  assert.ok(!isConfidentCatalogMatch(offlineResult('Sleuth', '2007'), HYBRID_MIN_SCORE));
+  assert.ok(!isConfidentCatalogMatch({ available: false, error: 'Could not load catalog index' }, 0));
+
+  // A lower setting accepts near-year matches
+  assert.ok(isConfidentCatalogMatch(offlineResult('1 Mord für 2', '2006'), 90));
+});
+
+test('orders versions by build time', () => {
+  assert.ok(compareCatalogVersions('20260301T120000', '20260101T120000') > 0);
+  assert.ok(compareCatalogVersions('20251231T235959', '20260101T000000') < 0);
+  assert.strictEqual(compareCatalogVersions('20260101T120000', '20260101T120000'), 0);
+});
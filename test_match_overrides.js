@@ -0,0 +1,42 @@
+// Tests for match overrides: verdicts and the exported gold set
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { addMatchVerdict, getPinnedVerdict, buildGoldSet } = require('./match_overrides');
+
+const film = { title: 'Sleuth', year: '2007' };
+const matched = { bvid: 'BV019283746', title: 'Mord mit kleinen Fehlern', matchScore: 74 };
+const relinked = { bvid: 'BV035089844', title: '1 Mord für 2', matchScore: 62 };
+const other = { bvid: 'BV002468135', title: 'Sleuth : a play', matchScore: 88 };
+
+test('keeps a re-linked record re-linked after a later rejection', () => {
+  let override = addMatchVerdict(null, 'relinked', film, relinked, matched);
+  override = addMatchVerdict(override, 'rejected', film, other);
+
+  assert.strictEqual(override.verdict, 'rejected');
+  assert.strictEqual(getPinnedVerdict(override), 'relinked');
+  assert.deepStrictEqual(buildGoldSet({ 'sleuth-2007': override }).map(row => [row.bvid, row.verdict]), [
+    ['BV035089844', 'relinked'],
+    ['BV019283746', 'rejected'],
+    ['BV002468135', 'rejected']
+  ]);
+});
+
+test('unpins a record when it is rejected', () => {
+  let override = addMatchVerdict(null, 'confirmed', film, relinked);
+  assert.strictEqual(getPinnedVerdict(override), 'confirmed');
+
+  override = addMatchVerdict(override, 'rejected', film, relinked);
+  assert.strictEqual(override.bvid, null);
+  assert.strictEqual(getPinnedVerdict(override), null);
+  assert.deepStrictEqual(buildGoldSet({ 'sleuth-2007': override }).map(row => row.verdict), ['rejected']);
+});
+
+test('reads entries saved without pinnedVerdict', () => {
+  const legacy = { ...addMatchVerdict(null, 'relinked', film, relinked), pinnedVerdict: undefined };
+
+  assert.strictEqual(getPinnedVerdict(legacy), 'relinked');
+  assert.strictEqual(getPinnedVerdict({ ...legacy, verdict: 'rejected' }), 'confirmed');
+});
@@ -0,0 +1,116 @@
+// Tests for the result cache: TTL expiry, LRU eviction, schema changes and the
+// halve-and-retry save, against an in-memory chrome.storage.local
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RESULT_CACHE_MODULE = require.resolve('./result_cache');
+
+/**
+ * Load a fresh copy of result_cache.js on top of a mocked chrome.storage.local
+ * @param {Object} t - Test context (timers are mocked so the debounced save only runs on tick)
+ * @param {Object} options - { stored: initial storage contents, maxWriteEntries: writes with more entries fail }
+ * @returns {Object} - { cache: module exports, storage: current storage contents, writes: attempted writes }
+ */
+function loadResultCache(t, { stored = {}, maxWriteEntries = Infinity } = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  const state = { storage: { ...stored }, writes: [] };
+  global.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in state.storage ? { [key]: state.storage[key] } : {}),
+        set: async (items) => {
+          Object.values(items).forEach(value => state.writes.push(Object.keys(value.entries)));
+          if (Object.values(items).some(value => Object.keys(value.entries).length > maxWriteEntries)) {
+            throw new Error('QUOTA_BYTES quota exceeded');
+          }
+          Object.assign(state.storage, items);
+        }
+      }
+    }
+  };
+  t.after(() => {
+    delete global.chrome;
+  });
+
+  delete require.cache[RESULT_CACHE_MODULE];
+  state.cache = require(RESULT_CACHE_MODULE);
+  return state;
+}
+
+test('expires results after their TTL and never caches errors', async (t) => {
+  const { cache } = loadResultCache(t);
+  cache.configureResultCache({ statusTtl: 1000, notFoundTtl: 5000 });
+
+  await cache.setCachedResult('held', { available: true, availability: 'on_shelf' });
+  await cache.setCachedResult('not-held', { available: false });
+  await cache.setCachedResult('failed', { available: false, error: 'Request timeout' });
+
+  t.mock.timers.tick(1000);
+  assert.deepStrictEqual(await cache.getCachedResult('held'), { available: true, availability: 'on_shelf' });
+  assert.strictEqual(await cache.getCachedResult('failed'), null);
+
+  t.mock.timers.tick(1);
+  assert.strictEqual(await cache.getCachedResult('held'), null);
+  assert.deepStrictEqual(await cache.getCachedResult('not-held'), { available: false });
+});
+
+test('evicts the least recently used entry above maxEntries', async (t) => {
+  const { cache } = loadResultCache(t);
+  cache.configureResultCache({ maxEntries: 2 });
+
+  await cache.setCachedResult('a', { available: false });
+  await cache.setCachedResult('b', { available: false });
+  await cache.getCachedResult('a');
+  await cache.setCachedResult('c', { available: false });
+
+  assert.strictEqual(await cache.getCachedResult('b'), null);
+  assert.ok(await cache.getCachedResult('a'));
+  assert.ok(await cache.getCachedResult('c'));
+});
+
+test('drops a stored cache with another schema', async (t) => {
+  const entry = { result: { available: false }, timestamp: 0, lastAccess: 0 };
+  const state = loadResultCache(t, {
+    stored: { hffResultCache: { schema: 0, entries: { old: entry } } }
+  });
+  const { cache } = state;
+  assert.notStrictEqual(cache.RESULT_CACHE_SCHEMA, 0);
+
+  assert.strictEqual(await cache.getCachedResult('old'), null);
+
+  // The debounced save replaces the stored cache
+  t.mock.timers.tick(1000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(state.storage[cache.RESULT_CACHE_STORAGE_KEY], { schema: cache.RESULT_CACHE_SCHEMA, entries: {} });
+});
+
+test('drops the least recently used half and retries once when a save fails', async (t) => {
+  const state = loadResultCache(t, { maxWriteEntries: 2 });
+  const { cache } = state;
+
+  for (const key of ['a', 'b', 'c', 'd']) {
+    await cache.setCachedResult(key, { available: false });
+  }
+  await cache.saveResultCache();
+
+  assert.deepStrictEqual(state.writes, [['a', 'b', 'c', 'd'], ['c', 'd']]);
+  assert.deepStrictEqual(Object.keys(state.storage[cache.RESULT_CACHE_STORAGE_KEY].entries), ['c', 'd']);
+  assert.strictEqual(await cache.getCachedResult('a'), null);
+});
+
+test('stays memory-only when the retried save fails too', async (t) => {
+  const state = loadResultCache(t, { maxWriteEntries: 0 });
+  const { cache } = state;
+
+  for (const key of ['a', 'b', 'c']) {
+    await cache.setCachedResult(key, { available: false });
+  }
+  await cache.saveResultCache();
+
+  assert.deepStrictEqual(state.writes, [['a', 'b', 'c'], ['c']]);
+  assert.deepStrictEqual(state.storage, {});
+  assert.ok(await cache.getCachedResult('c'));
+});
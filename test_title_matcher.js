@@ -0,0 +1,162 @@
+// Tests for title matching: title variants, director and year evidence (production year from catalog
+// notes) and the alternate WebOPAC queries
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  collectTitleVariants,
+  matchTitleVariants,
+  normalizePersonName,
+  comparePersonNames,
+  personNamesMatch,
+  compareDirectors,
+  applyDirectorEvidence,
+  extractProductionYear,
+  compareYears,
+  applyYearEvidence,
+  guessTitleLanguage,
+  respellNumbers,
+  buildQueryVariants
+} = require('./title_matcher');
+
+// Default settings.maxQueriesPerLookup
+const MAX_QUERIES_PER_LOOKUP = 3;
+
+function queriesWithinBudget(title, year, originalTitle) {
+  return buildQueryVariants(title, year, originalTitle).slice(0, MAX_QUERIES_PER_LOOKUP).map(variant => variant.query);
+}
+
+test('matches a film by the uniform title of its German release', () => {
+  const variants = collectTitleVariants({
+    title: '1 Mord für 2',
+    alt_titles: 'Ein Mord für zwei ; Mord für zwei',
+    uniform_title: 'Sleuth',
+    parallel_title: '',
+    tmdb_original_title: 'sleuth'
+  });
+
+  assert.deepStrictEqual(variants.map(variant => variant.kind), ['title', 'alt_title', 'alt_title', 'uniform_title']);
+  assert.deepStrictEqual(matchTitleVariants('Sleuth', variants), { score: 100, variant: { kind: 'uniform_title', title: 'Sleuth' } });
+});
+
+test('prefers the display title when variants score the same', () => {
+  const variants = collectTitleVariants({ title: 'Paris, Texas', alt_titles: 'Paris - Texas', tmdb_original_title: 'paris, texas' });
+
+  assert.deepStrictEqual(variants.map(variant => variant.kind), ['title', 'alt_title']);
+  assert.deepStrictEqual(matchTitleVariants('Paris Texas', variants), { score: 95, variant: { kind: 'title', title: 'Paris, Texas' } });
+  assert.strictEqual(matchTitleVariants('Paris Texas', [...variants].reverse()).variant.kind, 'alt_title');
+  assert.deepStrictEqual(matchTitleVariants('Paris Texas', []), { score: 0, variant: null });
+});
+
+test('matches director names in any order and transliteration', () => {
+  assert.ok(personNamesMatch('Bong, Joon-ho [Regisseur]', 'Bong Joon-ho'));
+  assert.ok(personNamesMatch('Wong, Kar-wai', 'Wong Kar-wai'));
+  assert.ok(personNamesMatch('Tarkovskij, Andrej', 'Andrei Tarkovsky'));
+  assert.ok(personNamesMatch('Mankiewicz, Joseph L. [Regisseur]', 'Joseph L. Mankiewicz'));
+  assert.ok(personNamesMatch('K. Branagh', 'Kenneth Branagh'));
+  assert.ok(!personNamesMatch('Lynch, David', 'David Fincher'));
+
+  assert.strictEqual(comparePersonNames('Lynch, David', 'David Fincher'), 'partial');
+  assert.strictEqual(comparePersonNames('Nolan, Christopher', 'Denis Villeneuve'), 'none');
+});
+
+test('only reports a director mismatch when no name token is shared', () => {
+  const catalog = ['Bong, Joon-ho', 'Tarkovskij, Andrej'].map(normalizePersonName);
+
+  assert.strictEqual(compareDirectors([normalizePersonName('Bong Joon-ho')], catalog), 'match');
+  assert.strictEqual(compareDirectors([normalizePersonName('Andrei Tarkovsky')], catalog), 'match');
+  assert.strictEqual(compareDirectors([normalizePersonName('Joon-ho Kim')], catalog), 'unknown');
+  assert.strictEqual(compareDirectors([normalizePersonName('Denis Villeneuve')], catalog), 'mismatch');
+  assert.strictEqual(compareDirectors([], catalog), 'unknown');
+  assert.strictEqual(compareDirectors([normalizePersonName('Bong Joon-ho')], []), 'unknown');
+});
+
+test('adjusts the score with director evidence', () => {
+  assert.deepStrictEqual(applyDirectorEvidence(100, 'mismatch'), { score: 100, veto: true });
+  assert.deepStrictEqual(applyDirectorEvidence(50, 'match'), { score: 75, veto: false });
+  assert.deepStrictEqual(applyDirectorEvidence(90, 'match'), { score: 100, veto: false });
+  assert.deepStrictEqual(applyDirectorEvidence(30, 'match'), { score: 30, veto: false });
+  assert.deepStrictEqual(applyDirectorEvidence(60, 'unknown'), { score: 60, veto: false });
+});
+
+test('reads the production year from the Orig.:/Original: note', () => {
+  assert.strictEqual(extractProductionYear({ notes: 'Bildformat 2.35:1 (16:9 anamorph) ; Orig.: USA, 2007 ; Enth. Making of' }), '2007');
+  assert.strictEqual(extractProductionYear({ notes: 'Original: Deutschland 2017 ; Extras: Trailer' }), '2017');
+  assert.strictEqual(extractProductionYear({ notes: 'Orig.: Kanada, Malta, UK 2008' }), '2008');
+  assert.strictEqual(extractProductionYear({ notes: '5 Min. - s/w ; Orig.: Österreich 1960' }), '1960');
+  assert.strictEqual(extractProductionYear({ notes: 'Orig.: USA, 2007, 112 Min.' }), '2007');
+});
+
+test('does not take a number in an original title for the production year', () => {
+  assert.strictEqual(extractProductionYear({ notes: 'Originaltitel: Blade Runner 2049 ; Orig.: USA, 2017' }), '2017');
+  assert.strictEqual(extractProductionYear({ notes: 'Originaltitel: 2046' }), '');
+  assert.strictEqual(extractProductionYear({ notes: 'Originaltitel: 2046', tmdb_release_date: '2004-09-29' }), '2004');
+});
+
+test('falls back to the TMDb release date', () => {
+  assert.strictEqual(extractProductionYear({ notes: 'Bildformat 16:9', tmdb_release_date: '2010-05-14' }), '2010');
+  assert.strictEqual(extractProductionYear({}), '');
+});
+
+test('compares the film year with the production year within one year', () => {
+  assert.strictEqual(compareYears('2007', { year: '2008', productionYear: '2007' }), 'match');
+  assert.strictEqual(compareYears('2008', { year: '2008', productionYear: '2007' }), 'close');
+  assert.strictEqual(compareYears('1972', { year: '2008', productionYear: '2007' }), 'conflict');
+});
+
+test('only lets a disc year conflict when the disc would predate the film', () => {
+  assert.strictEqual(compareYears('2008', { year: '2008' }), 'match');
+  assert.strictEqual(compareYears('1972', { year: '2008' }), 'unknown');
+  assert.strictEqual(compareYears('2017', { year: '2008' }), 'conflict');
+  assert.strictEqual(compareYears(null, { year: '2008' }), 'unknown');
+  assert.strictEqual(compareYears('2008', null), 'unknown');
+});
+
+test('adjusts the score with year evidence', () => {
+  assert.strictEqual(applyYearEvidence(80, 'match'), 85);
+  assert.strictEqual(applyYearEvidence(98, 'match'), 100);
+  assert.strictEqual(applyYearEvidence(80, 'close'), 80);
+  assert.strictEqual(applyYearEvidence(80, 'unknown'), 80);
+  assert.strictEqual(applyYearEvidence(100, 'conflict'), 60);
+  assert.strictEqual(applyYearEvidence(30, 'conflict'), 0);
+});
+
+test('keeps the plain title second and tries one number variant within the default search budget', () => {
+  assert.deepStrictEqual(queriesWithinBudget('1 Mord für 2', '2008', 'Sleuth'), ['1 Mord für 2 2008', '1 Mord für 2', 'ein Mord für zwei']);
+  assert.deepStrictEqual(queriesWithinBudget('Ein Mord für Zwei', '2008'), ['Ein Mord für Zwei 2008', 'Ein Mord für Zwei', '1 Mord für 2']);
+  assert.deepStrictEqual(queriesWithinBudget('The Seven Samurai', '1954'), ['The Seven Samurai 1954', 'The Seven Samurai', 'The 7 Samurai']);
+  assert.deepStrictEqual(queriesWithinBudget('12 Angry Men', '1957'), ['12 Angry Men 1957', '12 Angry Men', 'twelve Angry Men']);
+});
+
+test('writes numbers out in the title\'s language', () => {
+  assert.strictEqual(guessTitleLanguage('1 Mord für 2'), 'de');
+  assert.strictEqual(guessTitleLanguage('Die 3 Räuber'), 'de');
+  assert.strictEqual(guessTitleLanguage('The 39 Steps'), 'en');
+  assert.strictEqual(guessTitleLanguage('Ocean\'s 11'), null);
+
+  assert.strictEqual(respellNumbers('1 Mord für 2'), 'ein Mord für zwei');
+  assert.strictEqual(respellNumbers('The 7 Samurai'), 'The seven Samurai');
+
+  // Unclear language: English
+  assert.strictEqual(respellNumbers('Ocean\'s 11'), 'Ocean\'s eleven');
+});
+
+test('only turns words into digits for multi-word titles in a known language', () => {
+  assert.strictEqual(respellNumbers('Die drei Räuber'), 'Die 3 Räuber');
+  assert.strictEqual(respellNumbers('Elf'), null);
+  assert.strictEqual(respellNumbers('One Day'), null);
+
+  // Articles alone aren't numbers
+  assert.strictEqual(respellNumbers('Eine Frau ist eine Frau'), null);
+  assert.strictEqual(respellNumbers('One of the Boys'), null);
+});
+
+test('keeps the original title and other variants after the number variant', () => {
+  const kinds = buildQueryVariants('Die 3 Räuber', '2007', 'The Three Robbers').map(variant => variant.kind);
+  assert.deepStrictEqual(kinds, ['title_year', 'title', 'numbers', 'original_title', 'without_article']);
+
+  // Fractions aren't numbers to write out
+  assert.ok(buildQueryVariants('8 1/2', '1963').every(variant => variant.kind !== 'numbers'));
+});
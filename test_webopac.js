@@ -2,9 +2,28 @@
 
 // Test script for HFF WebOPAC integration
 // This script manually tests the search functionality
+//
+// Capture parser fixtures (hit list and detail view, session ids anonymized):
+//   node test_webopac.js --capture "1 Mord für 2" 2008 mord_fuer_2
+// writes mord_fuer_2_response.html and mord_fuer_2_detail_response.html
 
 const https = require('https');
+const fs = require('fs');
 const { URL } = require('url');
+const { parseHitList } = require('./webopac_parser');
+const { buildPermalink } = require('./catalog_index');
+
+/**
+ * Replace session ids in a saved OPAC page so it can be committed as a fixture
+ * @param {string} html - Page HTML
+ * @returns {string} - HTML with jsessionid and CSId values replaced
+ */
+function anonymizeSessionIds(html) {
+  return html
+    .replace(/(;jsessionid=)[^?#"'&\s]+/gi, '$1ANONYMIZED')
+    .replace(/(CSId=)[^&"'\s]+/g, '$1ANONYMIZED')
+    .replace(/(name="CSId"[^>]*value=")[^"]*/g, '$1ANONYMIZED');
+}
 
 class WebOPACTester {
   constructor() {
@@ -210,6 +229,36 @@ class WebOPACTester {
     }
   }
 
+  /**
+   * Save a search's hit list and its first hit's detail view as parser fixtures
+   * @param {string} title - Title to search for
+   * @param {string} year - Year (optional)
+   * @param {string} name - Fixture name, e.g. 'mord_fuer_2'
+   */
+  async captureFixtures(title, year, name) {
+    console.log(`\n=== Capturing fixtures for: "${title}" ${year ? `(${year})` : ''} ===`);
+
+    if (!await this.initializeSession()) {
+      throw new Error('Failed to establish session');
+    }
+
+    const searchString = encodeURIComponent((year ? `${title} ${year}` : title).trim());
+    const headers = { 'Accept-Encoding': 'identity' };
+    const hitList = await this.makeRequest(`https://webopac.hff-muc.de/webOPACClient.hffsis/search.do?methodToCall=submit&methodToCallParameter=submitSearch&searchCategories%5B0%5D=-1&searchString%5B0%5D=${searchString}`, { headers });
+    fs.writeFileSync(`${name}_response.html`, anonymizeSessionIds(hitList.data));
+    console.log(`📄 Hit list saved to ${name}_response.html`);
+
+    const hit = parseHitList(hitList.data).find(entry => entry.bvid);
+    if (!hit) {
+      console.log('❌ No hit with a bvid - detail view not captured');
+      return;
+    }
+
+    const detail = await this.makeRequest(buildPermalink(hit.bvid), { headers });
+    fs.writeFileSync(`${name}_detail_response.html`, anonymizeSessionIds(detail.data));
+    console.log(`📄 Detail view of ${hit.bvid} saved to ${name}_detail_response.html`);
+  }
+
   /**
    * Run the test
    */
@@ -228,6 +277,17 @@ class WebOPACTester {
   }
 }
 
-// Run the test
+// Run the test, or capture fixtures with --capture <title> [year] <name>
 const tester = new WebOPACTester();
-tester.runTest().catch(console.error); 
\ No newline at end of file
+const args = process.argv.slice(2);
+if (args[0] === '--capture') {
+  const [title, ...rest] = args.slice(1);
+  const name = rest.pop();
+  if (!title || !name) {
+    console.error('Usage: node test_webopac.js --capture <title> [year] <name>');
+    process.exit(1);
+  }
+  tester.captureFixtures(title, rest[0] || null, name).catch(console.error);
+} else {
+  tester.runTest().catch(console.error);
+}
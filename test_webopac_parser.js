@@ -0,0 +1,113 @@
+// Tests for the WebOPAC parsers
+// blade_runner_response.html is a saved OPAC response (an expired-session page). The
+// mord_fuer_2_*.html fixtures are hand-written after the WebOPAC's hit list and detail view
+// markup, not captured pages - they pin down the parser's assumptions about row layout,
+// COinS data and status texts. They are still to be replaced with captured pages:
+// `node test_webopac.js --capture "1 Mord für 2" 2008 mord_fuer_2` saves both with session
+// ids anonymized (needs access to the WebOPAC). The regex parsers (service worker
+// fallback) and the selector parsers (offscreen document) must agree on every fixture.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const {
+  parseHitList,
+  parseHitListDocument,
+  parseCopiesTable,
+  parseCopiesTableDocument,
+  classifyCopyStatus,
+  isDiscMediaType
+} = require('./webopac_parser');
+
+const FIXTURES = ['mord_fuer_2_response.html', 'mord_fuer_2_detail_response.html', 'blade_runner_response.html'];
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, name), 'utf8');
+}
+
+function parseDocument(html) {
+  return new JSDOM(html).window.document;
+}
+
+test('reads one structured hit per hit-list row', () => {
+  const hits = parseHitList(readFixture('mord_fuer_2_response.html'));
+
+  assert.deepStrictEqual(hits.map(hit => hit.title), ['1 Mord für 2', 'Sleuth : a play', 'Mord mit kleinen Fehlern']);
+  assert.deepStrictEqual(hits[0], {
+    title: '1 Mord für 2',
+    year: '2008',
+    mediaType: 'DVD-Video',
+    bvid: 'BV035089844',
+    href: 'singleHit.do?methodToCall=showHit&curPos=1&identifier=4_SOLR_SERVER_1812094583',
+    authors: ['Branagh, Kenneth', 'Caine, Michael'],
+    availability: 'on_shelf'
+  });
+});
+
+test('keeps media types and statuses inside their own row', () => {
+  const hits = parseHitList(readFixture('mord_fuer_2_response.html'));
+
+  // The book sits between two DVDs, and the page footer has a Blu-ray legend icon
+  assert.deepStrictEqual(hits.map(hit => hit.mediaType), ['DVD-Video', 'Buch', 'DVD-Video']);
+  assert.deepStrictEqual(hits.map(hit => isDiscMediaType(hit.mediaType)), [true, false, true]);
+  assert.deepStrictEqual(hits.map(hit => hit.availability), ['on_shelf', 'on_shelf', 'on_loan']);
+  assert.deepStrictEqual(hits.map(hit => hit.year), ['2008', '1971', '2004']);
+});
+
+test('finds no hits on an expired-session page', () => {
+  assert.deepStrictEqual(parseHitList(readFixture('blade_runner_response.html')), []);
+});
+
+test('falls back to hit order and row text without per-row COinS data', () => {
+  const html = `
+    <table class="data">
+      <tr><td>DVD-Video</td><td><a href="singleHit.do?methodToCall=showHit&amp;curPos=11">Paris, Texas</a> 1984</td></tr>
+      <tr><td><img alt="Blu-ray Disc"></td><td><a href="singleHit.do?methodToCall=showHit&amp;curPos=12">Der Himmel über Berlin</a> 1987 Präsenzbestand</td></tr>
+    </table>
+    <span class="Z3988" title="rft_id=BV011111111"></span>
+    <span class="Z3988" title="rft_id=BV022222222"></span>`;
+  const hits = parseHitList(html);
+
+  assert.deepStrictEqual(hits.map(hit => hit.bvid), ['BV011111111', 'BV022222222']);
+  assert.deepStrictEqual(hits.map(hit => hit.mediaType), ['DVD-Video', 'Blu-ray Disc']);
+  assert.deepStrictEqual(hits.map(hit => hit.year), ['1984', '1987']);
+  assert.deepStrictEqual(hits.map(hit => hit.availability), ['unknown', 'reference_only']);
+  assert.deepStrictEqual(hits.map(hit => hit.authors), [[], []]);
+  assert.deepStrictEqual(parseHitListDocument(parseDocument(html)), hits);
+});
+
+test('reads the copies table of a detail view', () => {
+  const copies = parseCopiesTable(readFixture('mord_fuer_2_detail_response.html'));
+
+  assert.deepStrictEqual(copies, [
+    { mediaType: 'DVD-Video', callNumber: 'DVD 2008/117', location: 'Hauptbibliothek', status: 'on_shelf', statusText: 'ausleihbar' },
+    { mediaType: 'DVD-Video', callNumber: 'DVD 2008/117 a', location: 'Hauptbibliothek', status: 'on_loan', statusText: 'entliehen bis 03.11.2026' },
+    { mediaType: 'DVD-Video', callNumber: 'DVD 2008/117 b', location: 'Hauptbibliothek', status: 'unknown', statusText: 'nicht verfügbar' },
+    { mediaType: 'DVD-Video', callNumber: 'DVD 2008/117 c', location: 'Hauptbibliothek', status: 'unknown', statusText: 'bestellt' },
+    { mediaType: 'DVD-Video', callNumber: 'DVD 2008/117 d', location: 'Hauptbibliothek', status: 'reference_only', statusText: 'nicht ausleihbar' }
+  ]);
+});
+
+test('does not read negated statuses as on the shelf', () => {
+  assert.strictEqual(classifyCopyStatus('ausleihbar'), 'on_shelf');
+  assert.strictEqual(classifyCopyStatus('verfügbar'), 'on_shelf');
+  assert.strictEqual(classifyCopyStatus('nicht verfügbar'), 'unknown');
+  assert.strictEqual(classifyCopyStatus('Not available'), 'unknown');
+  assert.strictEqual(classifyCopyStatus('bestellt'), 'unknown');
+  assert.strictEqual(classifyCopyStatus('nicht ausleihbar'), 'reference_only');
+  assert.strictEqual(classifyCopyStatus('entliehen bis 03.11.2026'), 'on_loan');
+});
+
+for (const fixture of FIXTURES) {
+  test(`selector and regex parsers agree on ${fixture}`, () => {
+    const html = readFixture(fixture);
+    const doc = parseDocument(html);
+
+    assert.deepStrictEqual(parseHitListDocument(doc), parseHitList(html));
+    assert.deepStrictEqual(parseCopiesTableDocument(doc), parseCopiesTable(html));
+  });
+}
@@ -0,0 +1,505 @@
+// Title matching for HFF Library Availability Extension
+//
+// Scores a Letterboxd title against catalog titles. HFF records often carry the German
+// release title in `title` and the original in `uniform_title` or `alt_titles`, so a record
+// is scored against every title variant it has and the best variant wins.
+
+// Catalog fields a record can be found under, in the order they're tried
+const TITLE_VARIANT_KINDS = ['title', 'alt_title', 'uniform_title', 'parallel_title', 'tmdb_original_title'];
+
+// A matching director adds this to the title score, if the title is at least somewhat similar
+const DIRECTOR_MATCH_BONUS = 25;
+const DIRECTOR_RESCUE_MIN_SCORE = 40;
+
+// Years within this distance of the production year still agree (festival vs. release year)
+const PRODUCTION_YEAR_TOLERANCE = 1;
+const YEAR_MATCH_BONUS = 5;
+// Enough to push even an exact title match below the default threshold
+const YEAR_CONFLICT_PENALTY = 40;
+
+// Leading articles dropped by the alternate search queries
+const LEADING_ARTICLES = /^(?:(?:the|a|an|der|die|das|le|la|les)\s+|l['’])(?=\S)/i;
+
+// Number words used by the alternate search queries (index = value)
+const NUMBER_WORDS = {
+  en: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'],
+  de: ['null', 'ein', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn', 'elf', 'zwölf']
+};
+
+// Common words that give away a title's language, so numbers are written out in that language
+const LANGUAGE_MARKERS = {
+  en: /\b(?:the|and|of|for|with|to|in|on|is|from|at|my|your|a|an)\b/gi,
+  de: /(?:\b(?:der|die|das|den|dem|des|und|für|mit|von|zum|zur|im|ist|nicht|auf|aus|bei|eine?r?)\b|[äöüß])/gi
+};
+
+/**
+ * Calculate similarity score between two titles
+ * @param {string} title1 - Search title (Letterboxd)
+ * @param {string} title2 - Catalog title
+ * @returns {number} - Score 0-100
+ */
+function calculateTitleSimilarity(title1, title2) {
+  const t1 = title1.toLowerCase().trim();
+  const t2 = title2.toLowerCase().trim();
+
+  // Exact match
+  if (t1 === t2) return 100;
+
+  // Remove punctuation but keep accented chars, normalize spaces
+  const normalize = (s) => s.replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const n1 = normalize(t1);
+  const n2 = normalize(t2);
+
+  if (n1 === n2) return 95;
+
+  // Get all words (filter out very short ones like "a", "o", "le", etc.)
+  const getWords = (s) => s.split(' ').filter(w => w.length > 2);
+  const searchWords = getWords(n1);
+  const resultWords = getWords(n2);
+
+  // For SINGLE WORD searches, be VERY strict
+  if (searchWords.length === 1) {
+    const searchWord = searchWords[0];
+
+    // Result must ALSO be a single significant word, or search word must be at the BEGINNING
+    if (resultWords.length === 1 && resultWords[0] === searchWord) {
+      return 90; // Both are single words that match exactly
+    }
+
+    // Check if result starts with exactly the search term (as a standalone title)
+    // "Lucky" should match "Lucky (2017)" but NOT "Lucky Luke" or "O Lucky Man"
+    const resultStartsWithSearch = n2 === n1 ||
+                                    n2.startsWith(n1 + ' ') ||
+                                    n2.match(new RegExp(`^${n1}\\s*[\\(\\[\\d]`)); // Lucky (2017) or Lucky 2017
+
+    if (resultStartsWithSearch) {
+      // But also check the result isn't much longer (different film with same first word)
+      if (resultWords.length <= 2) {
+        return 80; // Short result starting with search word
+      }
+      // If there are many more words, it's probably a different film
+      console.log(`📊 Rejecting: "${t1}" vs "${t2}" - single word search but result has ${resultWords.length} significant words`);
+      return 25;
+    }
+
+    // If search word appears elsewhere (not at start), it's probably not the right film
+    // e.g., "Lucky" should NOT match "O Lucky Man!" or "Get Lucky"
+    if (resultWords.includes(searchWord)) {
+      console.log(`📊 Rejecting: "${t1}" found within "${t2}" but not at start`);
+      return 20; // Word found but not at beginning - different film
+    }
+
+    return 10; // Single word not found properly
+  }
+
+  // For TWO WORD searches, still be fairly strict
+  if (searchWords.length === 2) {
+    // Both words must appear at the beginning of the result
+    if (resultWords.length >= 2 &&
+        resultWords[0] === searchWords[0] &&
+        resultWords[1] === searchWords[1]) {
+      if (resultWords.length <= 3) {
+        return 85;
+      }
+      return 75; // First two words match exactly - good match even with subtitle
+    }
+
+    // Check if all search words are in result
+    const commonWords = searchWords.filter(w => resultWords.includes(w));
+    if (commonWords.length === 2) {
+      if (resultWords.length <= 3) return 75;
+      return 50; // Both words found but result is much longer
+    }
+
+    return 15;
+  }
+
+  // For LONGER titles (3+ words), use word overlap
+  const commonWords = searchWords.filter(w => resultWords.includes(w));
+  const overlapRatio = commonWords.length / Math.max(searchWords.length, resultWords.length);
+  const coverageRatio = commonWords.length / searchWords.length; // How much of search is covered
+
+  // Check if words appear in the same order at the start
+  let matchingPrefix = 0;
+  for (let i = 0; i < Math.min(searchWords.length, resultWords.length); i++) {
+    if (searchWords[i] === resultWords[i]) {
+      matchingPrefix++;
+    } else {
+      break;
+    }
+  }
+
+  // Bonus for matching prefix
+  const prefixBonus = (matchingPrefix / searchWords.length) * 20;
+
+  // Most of the search words should be in the result
+  if (coverageRatio >= 0.8 && overlapRatio >= 0.5) return Math.min(95, 85 + prefixBonus);
+  if (coverageRatio >= 0.6 && overlapRatio >= 0.4) return Math.min(85, 70 + prefixBonus);
+  if (coverageRatio >= 0.5) return 50 + prefixBonus / 2;
+
+  return overlapRatio * 40;
+}
+
+/**
+ * Collect the title variants of a scraped/enriched catalog record
+ * @param {Object} record - Catalog record (title, alt_titles, uniform_title, parallel_title, tmdb_original_title)
+ * @returns {Object[]} - [{ kind, title }] in TITLE_VARIANT_KINDS order, without blanks or repeats
+ */
+function collectTitleVariants(record) {
+  const variants = [];
+  const seen = new Set();
+
+  const add = (kind, title) => {
+    const cleaned = title ? String(title).replace(/¬/g, '').trim() : '';
+    if (!cleaned || seen.has(cleaned.toLowerCase())) return;
+    seen.add(cleaned.toLowerCase());
+    variants.push({ kind, title: cleaned });
+  };
+
+  add('title', record.title);
+  (record.alt_titles ? String(record.alt_titles).split(' ; ') : []).forEach(title => add('alt_title', title));
+  add('uniform_title', record.uniform_title);
+  add('parallel_title', record.parallel_title);
+  add('tmdb_original_title', record.tmdb_original_title);
+
+  return variants;
+}
+
+/**
+ * Score a search title against every variant of a record and keep the best
+ * Ties go to the earlier variant, so the display title wins over alternates
+ * @param {string} searchTitle - Search title (Letterboxd)
+ * @param {Object[]} variants - [{ kind, title }]
+ * @returns {Object} - { score, variant } (variant is null if there were none)
+ */
+function matchTitleVariants(searchTitle, variants) {
+  let best = { score: 0, variant: null };
+
+  for (const variant of variants) {
+    const score = calculateTitleSimilarity(searchTitle, variant.title);
+    if (score > best.score) {
+      best = { score, variant };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Normalize a person's name for comparison
+ * Catalog names are "Last, First, 1960-"; Letterboxd names are "First Last"
+ * @param {string} name - Name in either form
+ * @returns {string} - Lowercase "first last" without accents or punctuation
+ */
+function normalizePersonName(name) {
+  const parts = String(name || '')
+    .replace(/\[[^\]]*\]/g, '')                   // Role markers like [Regisseur]
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && !/^\d{4}-(\d{4})?$/.test(part)); // Life dates
+
+  const ordered = parts.length >= 2 ? `${parts[1]} ${parts[0]}` : (parts[0] || '');
+  return ordered
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two name tokens are the same word, allowing for transliteration
+ * ("andrej"/"andrei", "tarkovskij"/"tarkovsky") - they share all but the last two letters
+ * @param {string} a - Normalized token
+ * @param {string} b - Normalized token
+ * @returns {boolean}
+ */
+function nameTokensMatch(a, b) {
+  if (a === b) return true;
+  if (a.length < 4 || b.length < 4) return false;
+
+  let prefix = 0;
+  while (prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return prefix >= 4 && prefix >= Math.min(a.length, b.length) - 2;
+}
+
+/**
+ * Compare two names as sets of tokens, in any order
+ * ("Bong, Joon-ho" and "Bong Joon-ho", "Tarkovskij, Andrej" and "Andrei Tarkovsky").
+ * An initial stands for any token starting with it but doesn't count as overlap by itself.
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {string} - 'match' (every token of the shorter name found), 'partial' (some
+ *   token shared) or 'none'
+ */
+function comparePersonNames(a, b) {
+  const ta = normalizePersonName(a).split(' ').filter(Boolean);
+  const tb = normalizePersonName(b).split(' ').filter(Boolean);
+  if (ta.length === 0 || tb.length === 0) return 'none';
+
+  const [shorter, longer] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+  const found = (token) => longer.some(other => token.length === 1 || other.length === 1
+    ? token[0] === other[0]
+    : nameTokensMatch(token, other));
+  const matched = shorter.filter(found);
+
+  if (matched.length === shorter.length && matched.some(token => token.length > 1)) return 'match';
+  if (matched.some(token => token.length > 1)) return 'partial';
+  return 'none';
+}
+
+/**
+ * Whether two names refer to the same person (see comparePersonNames)
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {boolean}
+ */
+function personNamesMatch(a, b) {
+  return comparePersonNames(a, b) === 'match';
+}
+
+/**
+ * Collect a catalog record's directors
+ * From `contributors` entries marked [Regisseur]/[Filmregisseur] (not [Bildregisseur], the
+ * cinematographer), the "Regie:" / "directed by" part of `credits`, and `tmdb_director`
+ * @param {Object} record - Catalog record
+ * @returns {string[]} - Director names, without repeats
+ */
+function extractCatalogDirectors(record) {
+  const names = [];
+
+  String(record.contributors || '').split(' ; ').forEach(entry => {
+    if (/\[(?:Regisseur|Filmregisseur)\]/.test(entry)) {
+      names.push(normalizePersonName(entry));
+    }
+  });
+
+  const credits = String(record.credits || '');
+  const creditPatterns = [
+    /Regie(?:\/direction)?(?:,[^:.;]*)?:\s*([^.;\]]+)/g,  // "Regie: X", "Regie, Drehbuch: X", "Regie/direction: X"
+    /directed by\s+([^.;\]]+)/gi
+  ];
+  creditPatterns.forEach(pattern => {
+    for (const match of credits.matchAll(pattern)) {
+      match[1].split(/\s+(?:und|and|&)\s+|,\s*/).forEach(name => names.push(normalizePersonName(name)));
+    }
+  });
+
+  String(record.tmdb_director || '').split(',').forEach(name => names.push(normalizePersonName(name)));
+
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Compare the directors Letterboxd lists with a record's directors
+ * A mismatch vetoes the record, so it needs names without a single shared token; names that
+ * only partly agree (a shared surname, differently spelled given names) count as unknown.
+ * @param {string[]} filmDirectors - Directors from Letterboxd
+ * @param {string[]} catalogDirectors - Directors from the catalog record
+ * @returns {string} - 'match' | 'mismatch' | 'unknown' (either side has no directors, or a partial match)
+ */
+function compareDirectors(filmDirectors, catalogDirectors) {
+  if (!filmDirectors || !catalogDirectors || filmDirectors.length === 0 || catalogDirectors.length === 0) {
+    return 'unknown';
+  }
+  const comparisons = filmDirectors.flatMap(film => catalogDirectors.map(catalog => comparePersonNames(film, catalog)));
+  if (comparisons.includes('match')) return 'match';
+  return comparisons.includes('partial') ? 'unknown' : 'mismatch';
+}
+
+/**
+ * Adjust a title score with director evidence
+ * A mismatch vetoes the record however well the title matched; a match lifts a
+ * moderately similar title (e.g. a translated one) over the threshold
+ * @param {number} score - Title similarity score
+ * @param {string} directorMatch - Result of compareDirectors()
+ * @returns {Object} - { score, veto }
+ */
+function applyDirectorEvidence(score, directorMatch) {
+  if (directorMatch === 'mismatch') {
+    return { score, veto: true };
+  }
+  if (directorMatch === 'match' && score >= DIRECTOR_RESCUE_MIN_SCORE) {
+    return { score: Math.min(100, score + DIRECTOR_MATCH_BONUS), veto: false };
+  }
+  return { score, veto: false };
+}
+
+/**
+ * Extract a record's production year
+ * The catalog `year` is usually the disc's publication year; the production year is in
+ * `notes` ("Orig.: USA, 2007", "Original: Deutschland 2017"). Only the "Orig.:"/"Original:"
+ * label counts, with countries then the year - "Originaltitel: Blade Runner 2049" is a title.
+ * TMDb's release date is the fallback.
+ * @param {Object} record - Catalog record
+ * @returns {string} - Year or '' if unknown
+ */
+function extractProductionYear(record) {
+  const origMatch = String(record.notes || '').match(/(?:\bOrig\.|\bOriginal(?!\p{L}))\s*:\s*[^\d;]*?\b(1[89]\d{2}|20\d{2})\b(?=\s*(?:[;.,]|$))/u);
+  if (origMatch) return origMatch[1];
+
+  const tmdbMatch = String(record.tmdb_release_date || '').match(/^(1[89]\d{2}|20\d{2})/);
+  return tmdbMatch ? tmdbMatch[1] : '';
+}
+
+/**
+ * Compare the Letterboxd year with a record's years
+ * The production year must agree within PRODUCTION_YEAR_TOLERANCE. Without one, a disc year
+ * only conflicts when the disc would predate the film.
+ * @param {string} filmYear - Year on Letterboxd
+ * @param {Object} record - { year, productionYear } of the catalog record
+ * @returns {string} - 'match' | 'close' | 'conflict' | 'unknown'
+ */
+function compareYears(filmYear, record) {
+  const film = parseInt(filmYear, 10);
+  if (!film || !record) return 'unknown';
+
+  const production = parseInt(record.productionYear, 10);
+  if (production) {
+    const diff = Math.abs(film - production);
+    if (diff === 0) return 'match';
+    return diff <= PRODUCTION_YEAR_TOLERANCE ? 'close' : 'conflict';
+  }
+
+  const disc = parseInt(record.year, 10);
+  if (disc) {
+    if (disc === film) return 'match';
+    if (disc < film - PRODUCTION_YEAR_TOLERANCE) return 'conflict';
+  }
+  return 'unknown';
+}
+
+/**
+ * Adjust a score with year evidence - a clear conflict outweighs a title-only match
+ * @param {number} score - Score so far
+ * @param {string} yearMatch - Result of compareYears()
+ * @returns {number} - Adjusted score
+ */
+function applyYearEvidence(score, yearMatch) {
+  if (yearMatch === 'match') return Math.min(100, score + YEAR_MATCH_BONUS);
+  if (yearMatch === 'conflict') return Math.max(0, score - YEAR_CONFLICT_PENALTY);
+  return score;
+}
+
+/**
+ * Guess whether a title is English or German from its common words
+ * @param {string} title - Title
+ * @returns {string|null} - 'en' | 'de', or null if it can't tell
+ */
+function guessTitleLanguage(title) {
+  const en = (String(title).match(LANGUAGE_MARKERS.en) || []).length;
+  const de = (String(title).match(LANGUAGE_MARKERS.de) || []).length;
+  if (en === de) return null;
+  return en > de ? 'en' : 'de';
+}
+
+/**
+ * Spell a title's numbers the other way: digits as words, or number words as digits
+ * Digits are written out in the title's language (English if unclear - Letterboxd titles
+ * mostly are). Words only become digits when the language is clear and the title has more
+ * than one word, so "Elf" or "One Day" stay titles; "ein"/"eine"/"one" double as articles
+ * and only count next to another number word ("Ein Mord für Zwei").
+ * @param {string} title - Title
+ * @returns {string|null} - Respelled title, or null if there is nothing to respell
+ */
+function respellNumbers(title) {
+  const language = guessTitleLanguage(title);
+
+  // Standalone numbers only - "8 1/2" and "2.0" stay as they are
+  const digits = /(?<![\d/.,])\b\d{1,2}\b(?![/.,]\d|\s+\d+\/\d)/g;
+  if (digits.test(title)) {
+    const words = NUMBER_WORDS[language || 'en'];
+    return title.replace(digits, number => words[Number(number)] || number);
+  }
+
+  if (!language || title.split(/\s+/).length < 2) return null;
+
+  const numberWords = language === 'de' ? [...NUMBER_WORDS.de, 'eins', 'eine'] : NUMBER_WORDS.en;
+  const wordPattern = new RegExp(`(?<![\\p{L}])(?:${numberWords.join('|')})(?![\\p{L}])`, 'giu');
+  const found = title.match(wordPattern) || [];
+  if (found.every(word => /^(?:eine?|one)$/i.test(word))) return null;
+
+  return title.replace(wordPattern, word => {
+    const lower = word.toLowerCase().replace(/^eine?s?$/, 'ein');
+    return String(NUMBER_WORDS[language].indexOf(lower));
+  });
+}
+
+/**
+ * Build the ranked WebOPAC queries for a film
+ * The first query is the one every lookup sends; the rest are retried in order while
+ * nothing matches, as far as the per-lookup budget allows. The title without the year comes
+ * second (catalog years are usually disc years), then one variant with numbers spelled the
+ * other way ("1 Mord für 2" / "Ein Mord für Zwei") - the catalog often spells them differently.
+ * @param {string} title - Title on Letterboxd
+ * @param {string} year - Year on Letterboxd (optional)
+ * @param {string} originalTitle - Original title on Letterboxd (optional)
+ * @returns {Object[]} - [{ kind, query }] without repeats
+ */
+function buildQueryVariants(title, year, originalTitle) {
+  const queries = [];
+  const seen = new Set();
+
+  const add = (kind, query) => {
+    const cleaned = query ? String(query).replace(/\s+/g, ' ').trim() : '';
+    if (!cleaned || seen.has(cleaned.toLowerCase())) return;
+    seen.add(cleaned.toLowerCase());
+    queries.push({ kind, query: cleaned });
+  };
+
+  const base = String(title || '').trim();
+
+  add('title_year', year ? `${base} ${year}` : base);
+  add('title', base);
+  add('numbers', respellNumbers(base));
+  add('original_title', originalTitle);
+  add('without_article', base.replace(LEADING_ARTICLES, ''));
+  add('main_title', base.split(/\s*[:–—]\s*|\s+-\s+/)[0]);
+  if (base.includes('&')) {
+    add('ampersand', base.replace(/\s*&\s*/g, ' and '));
+    add('ampersand', base.replace(/\s*&\s*/g, ' und '));
+  } else {
+    add('ampersand', base.replace(/\s+(?:and|und)\s+/gi, ' & '));
+  }
+
+  return queries;
+}
+
+/**
+ * Human-readable label for a variant kind
+ * @param {string} kind - One of TITLE_VARIANT_KINDS
+ * @returns {string} - Label
+ */
+function describeTitleVariant(kind) {
+  const labels = {
+    title: 'Title',
+    alt_title: 'Alternate title',
+    uniform_title: 'Uniform title',
+    parallel_title: 'Parallel title',
+    tmdb_original_title: 'Original title (TMDb)'
+  };
+  return labels[kind] || kind;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TITLE_VARIANT_KINDS,
+    calculateTitleSimilarity,
+    collectTitleVariants,
+    matchTitleVariants,
+    describeTitleVariant,
+    normalizePersonName,
+    comparePersonNames,
+    personNamesMatch,
+    extractCatalogDirectors,
+    compareDirectors,
+    applyDirectorEvidence,
+    extractProductionYear,
+    compareYears,
+    applyYearEvidence,
+    guessTitleLanguage,
+    respellNumbers,
+    buildQueryVariants
+  };
+}
@@ -84,67 +84,6 @@ function createCacheKey(title, year) {
   return year ? `${cleanTitle}_${year}` : cleanTitle;
 }
 
-/**
- * Simple HTML parser to check if search results contain the film
- * @param {string} html - HTML content from WebOPAC search
- * @param {string} searchTitle - The title we're searching for
- * @returns {Object} - Object with availability status and link
- */
-function parseSearchResults(html, searchTitle) {
-  try {
-    // Create a temporary DOM element to parse the HTML
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    
-    const searchTitleLower = searchTitle.toLowerCase();
-    
-    // Look for film title links with the pattern we discovered
-    const titleLinks = doc.querySelectorAll('a[title="zur Vollanzeige"]');
-    
-    for (const link of titleLinks) {
-      const linkText = link.textContent.trim();
-      const linkTextLower = linkText.toLowerCase();
-      
-      // Check if this result contains our search title
-      if (linkTextLower.includes(searchTitleLower)) {
-        // Check if the item is available (look for availability text)
-        const parentElement = link.parentElement || link;
-        const availabilityText = parentElement ? parentElement.textContent : '';
-        
-        const isAvailable = availabilityText.includes('ausleihbar') || 
-                           availabilityText.includes('verfügbar') ||
-                           availabilityText.includes('available');
-        
-        // Get the detail link
-        const detailLink = new URL(link.href, 'https://webopac.hff-muc.de').href;
-        
-        return {
-          available: isAvailable,
-          link: detailLink,
-          title: linkText
-        };
-      }
-    }
-    
-    // If no exact match found, check if there are any results at all
-    const hasResults = html.includes('lokale Datenbank') && 
-                      (html.includes('ausleihbar') || html.includes('verfügbar'));
-    
-    if (hasResults) {
-      // Found some results but not an exact match
-      return {
-        available: false,
-        note: 'Found similar results but no exact match'
-      };
-    }
-    
-    return { available: false };
-  } catch (error) {
-    console.error('Error parsing search results:', error);
-    return { available: false };
-  }
-}
-
 /**
  * Debounce function to limit the rate of function calls
  * @param {Function} func - Function to debounce
@@ -163,13 +102,72 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Serialize rows to CSV, quoting fields where needed
+ * @param {Array[]} rows - Rows of field values
+ * @returns {string} - CSV content
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\n') + '\n';
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     encodeForURL,
     extractFilmInfo,
     createCacheKey,
-    parseSearchResults,
-    debounce
+    debounce,
+    parseCsv,
+    toCsv
   };
 } 
\ No newline at end of file
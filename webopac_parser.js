@@ -0,0 +1,401 @@
+// WebOPAC page parsing for HFF Library Availability Extension
+//
+// Hit lists and detail views are parsed twice over: with selectors in the offscreen document
+// (offscreen.js, the service worker has no DOMParser) and with regular expressions as the
+// fallback when no offscreen document is available. Both give the same output. Each hit-list
+// row becomes one structured hit:
+//
+//   {
+//     title, year, mediaType,      // From the row (year prefers the row's COinS data)
+//     bvid, href,                  // BVB record id and the row's detail link (curPos, session-bound)
+//     authors,                     // COinS authors, "Last, First" as catalogued
+//     availability                 // Row status: 'on_shelf' | 'on_loan' | 'reference_only' | 'unknown'
+//   }
+
+// Any link - parseHitList() keeps the ones leading to a record's detail view
+const HIT_LINK_PATTERN = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+
+/**
+ * Strip tags and decode the entities WebOPAC uses in table cells
+ * @param {string} html - Cell HTML
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ', auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß' };
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&(\w+);/g, (entity, name) => entities[name] || entity)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a hit list into rows and read one structured hit per row
+ * A row runs from the <tr> holding a hit's detail link to the next hit's row, so media icons
+ * and status texts can't leak between neighbouring hits.
+ * @param {string} html - Hit list HTML
+ * @returns {Object[]} - Hits in list order, see the layout at the top of this file
+ */
+function parseHitList(html) {
+  const links = [];
+  const seenHrefs = new Set();
+
+  for (const match of html.matchAll(HIT_LINK_PATTERN)) {
+    const hrefMatch = match[1].match(/href="([^"]*)"/i);
+    if (!hrefMatch) continue;
+
+    const href = hrefMatch[1].replace(/&amp;/g, '&');
+    const isHitLink = /title="zur Vollanzeige"/i.test(match[1]) || /singleHit\.do|showHit/.test(href);
+    const title = htmlToText(match[2]);
+    // Cover images link to the same record - the title link is the one with text
+    if (!isHitLink || !title || seenHrefs.has(href)) continue;
+
+    seenHrefs.add(href);
+    links.push({ href, title, start: match.index, end: match.index + match[0].length });
+  }
+
+  const rowStarts = links.map((link, i) => {
+    const rowStart = html.lastIndexOf('<tr', link.start);
+    return i > 0 && rowStart < links[i - 1].end ? links[i - 1].end : Math.max(rowStart, 0);
+  });
+
+  return links.map((link, i) => {
+    let rowEnd = i + 1 < links.length ? rowStarts[i + 1] : html.indexOf('</table>', link.end);
+    if (rowEnd === -1) rowEnd = html.length;
+
+    const row = html.slice(rowStarts[i], rowEnd);
+    const rowHtml = html.slice(rowStarts[i], link.start) + html.slice(link.end, rowEnd);
+    const coins = parseCoins(row);
+    const rowText = htmlToText(rowHtml.replace(/<span[^>]*class="Z3988"[^>]*>/gi, ''));
+
+    const yearMatch = rowText.match(/\b(1[89]\d{2}|20\d{2})\b/);
+
+    return {
+      title: link.title,
+      year: coins.year || (yearMatch ? yearMatch[1] : null),
+      mediaType: extractRowMediaType(rowHtml),
+      bvid: coins.bvid || extractHitBvid(html, link.href),
+      href: link.href,
+      authors: coins.authors,
+      availability: classifyCopyStatus(rowText)
+    };
+  });
+}
+
+/**
+ * Read the COinS span (class="Z3988") of a hit-list row
+ * @param {string} row - Row HTML
+ * @returns {Object} - { bvid, year, authors } (null/empty where the span lacks them)
+ */
+function parseCoins(row) {
+  const span = row.match(/<span[^>]*class="Z3988"[^>]*title="([^"]*)"/i) ||
+    row.match(/<span[^>]*title="([^"]*)"[^>]*class="Z3988"/i);
+  if (!span) {
+    return { bvid: null, year: null, authors: [] };
+  }
+
+  return readCoins(span[1].replace(/&amp;/g, '&'));
+}
+
+/**
+ * Read bvid, year and authors from a COinS span's title (an OpenURL query string)
+ * @param {string} coins - Decoded title attribute
+ * @returns {Object} - { bvid, year, authors }
+ */
+function readCoins(coins) {
+  const params = new URLSearchParams(coins);
+  const bvidMatch = coins.match(/(BV\d+)/);
+  const dateMatch = (params.get('rft.date') || '').match(/(1[89]\d{2}|20\d{2})/);
+
+  return {
+    bvid: bvidMatch ? bvidMatch[1] : null,
+    year: dateMatch ? dateMatch[1] : null,
+    authors: params.getAll('rft.au').map(author => author.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Read a hit-list row's media type from its icon, falling back to the row text
+ * @param {string} rowHtml - Row HTML without the title link
+ * @returns {string|null} - e.g. "DVD-Video", "Blu-ray Disc", "Buch"
+ */
+function extractRowMediaType(rowHtml) {
+  const icon = findIconLabel(rowHtml);
+  if (icon) {
+    return icon;
+  }
+
+  const textMatch = htmlToText(rowHtml).match(/DVD(?:-Video)?|Blu-?ray(?: Disc)?/i);
+  return textMatch ? textMatch[0] : null;
+}
+
+/**
+ * Label of the first icon with an alt or title text, as media types are rendered as icons
+ * @param {string} html - HTML to search
+ * @returns {string|null} - alt text, else title text
+ */
+function findIconLabel(html) {
+  for (const match of html.matchAll(/<img\b[^>]*>/gi)) {
+    const alt = match[0].match(/\balt="([^"]*)"/i);
+    const title = match[0].match(/\btitle="([^"]*)"/i);
+    const label = htmlToText((alt && alt[1]) || (title && title[1]) || '');
+    if (label) return label;
+  }
+  return null;
+}
+
+/**
+ * Whether a hit's media type is a DVD or Blu-ray
+ * @param {string|null} mediaType - Media type from parseHitList()
+ * @returns {boolean}
+ */
+function isDiscMediaType(mediaType) {
+  return !!mediaType && /DVD|Blu-?ray/i.test(mediaType);
+}
+
+/**
+ * Find the BVB record id (bvid) for a hit on a WebOPAC hit list
+ * Detail links usually only carry the hit position (curPos), so the bvid is taken from the
+ * COinS spans (class="Z3988") the hit list renders once per hit, in hit order.
+ * @param {string} html - Hit list HTML
+ * @param {string} href - Detail link of the hit
+ * @returns {string|null} - bvid, or null if it can't be determined
+ */
+function extractHitBvid(html, href) {
+  const decodedHref = href.replace(/&amp;/g, '&');
+
+  // Some links (e.g. permalinks or bvnr queries) carry the bvid directly
+  const directMatch = decodedHref.match(/(BV\d+)/);
+  if (directMatch) {
+    return directMatch[1];
+  }
+
+  const posMatch = decodedHref.match(/[?&]curPos=(\d+)/);
+  if (!posMatch) {
+    return null;
+  }
+
+  const coinsBvids = [...html.matchAll(/<span[^>]*class="Z3988"[^>]*>/gi)]
+    .map(m => m[0].match(/(BV\d+)/))
+    .filter(Boolean)
+    .map(m => m[1]);
+  const positions = [...html.matchAll(/singleHit\.do[^"]*?[?&](?:amp;)?curPos=(\d+)/g)].map(m => parseInt(m[1], 10));
+
+  return bvidAtPosition(parseInt(posMatch[1], 10), coinsBvids, positions);
+}
+
+/**
+ * Pick the COinS bvid of a hit position
+ * Positions on the hit list are consecutive, starting at the lowest curPos on the page
+ * @param {number} position - curPos of the hit
+ * @param {string[]} coinsBvids - bvids of the page's COinS spans, in page order
+ * @param {number[]} positions - curPos values of the page's detail links
+ * @returns {string|null} - bvid, or null if it can't be determined
+ */
+function bvidAtPosition(position, coinsBvids, positions) {
+  if (coinsBvids.length === 0 || positions.length === 0) {
+    return null;
+  }
+
+  return coinsBvids[position - Math.min(...positions)] || null;
+}
+
+/**
+ * Parse the Exemplare (copies) table of a detail view, like _parse_copies_table in the scraper
+ * Header: Medientyp, Signatur, Fußnoten, Mediennummer, Standort, Zweigstelle, Status
+ * @param {string} html - Detail view HTML
+ * @returns {Object[]} - [{ mediaType, callNumber, location, status, statusText }]
+ */
+function parseCopiesTable(html) {
+  const tables = html.match(/<table[^>]*class="[^"]*\bdata\b[^"]*"[^>]*>[\s\S]*?<\/table>/gi) || [];
+
+  for (const table of tables) {
+    const headers = [...table.matchAll(/<th[^>]*>([\s\S]*?)<\/th>/gi)].map(m => htmlToText(m[1]));
+    if (!headers.includes('Signatur') && !headers.includes('Status')) {
+      continue;
+    }
+
+    const copies = [];
+    const rows = [...table.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)].map(m => m[1]);
+
+    for (const row of rows.slice(1)) { // skip header row
+      const cells = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)].map(m => m[1]);
+      if (cells.length < 4) continue;
+
+      // Media type is rendered as an icon; its alt/title carries the name
+      const statusText = htmlToText(cells[cells.length - 2]);
+
+      copies.push({
+        mediaType: findIconLabel(row),
+        callNumber: htmlToText(cells[0]),
+        location: htmlToText(cells[cells.length - 3]),
+        status: classifyCopyStatus(statusText),
+        statusText: statusText
+      });
+    }
+
+    return copies;
+  }
+
+  return [];
+}
+
+/**
+ * Map a WebOPAC copy status text to a status key
+ * @param {string} statusText - e.g. "ausleihbar", "entliehen bis 12.03.2026", "Präsenzbestand"
+ * @returns {string} - 'on_shelf' | 'on_loan' | 'reference_only' | 'unknown'
+ */
+function classifyCopyStatus(statusText) {
+  const text = statusText.toLowerCase();
+
+  // Negated and unavailable forms come first - "nicht verfügbar" contains "verfügbar"
+  if (/präsenz|nicht (?:ausleihbar|entleihbar)|lesesaal|nur vor ort|reference/.test(text)) return 'reference_only';
+  if (/entliehen|ausgeliehen|verliehen|vorgemerkt|on loan|\bbis\b/.test(text)) return 'on_loan';
+  // Held but not on the shelf for some other reason (ordered, being processed, missing)
+  if (/nicht verfügbar|not available|unavailable|bestellt|in bearbeitung|geschäftsgang|vermisst|verlust/.test(text)) return 'unknown';
+  if (/ausleihbar|verfügbar|available/.test(text)) return 'on_shelf';
+  return 'unknown';
+}
+
+/**
+ * Summarize per-copy statuses into one availability for the record
+ * @param {Object[]} copies - Parsed copies
+ * @returns {string} - Best status across copies ('unknown' if there are none)
+ */
+function summarizeAvailability(copies) {
+  const priority = ['on_shelf', 'reference_only', 'on_loan'];
+  for (const status of priority) {
+    if (copies.some(copy => copy.status === status)) {
+      return status;
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Text of a DOM node with a space between elements, like htmlToText()
+ * @param {Node} node - Element or text node
+ * @returns {string} - Plain text
+ */
+function elementText(node) {
+  if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ').trim();
+  return [...node.childNodes].map(elementText).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Label of the first icon in an element with an alt or title text (see findIconLabel)
+ * @param {Element} element - Element to search
+ * @returns {string|null} - alt text, else title text
+ */
+function findElementIconLabel(element) {
+  for (const img of element.querySelectorAll('img')) {
+    const label = (img.getAttribute('alt') || img.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+    if (label) return label;
+  }
+  return null;
+}
+
+/**
+ * Selector version of parseHitList() for a parsed hit-list document
+ * @param {Document} doc - Hit list document
+ * @returns {Object[]} - Hits in list order
+ */
+function parseHitListDocument(doc) {
+  const links = [];
+  const seenHrefs = new Set();
+
+  for (const anchor of doc.querySelectorAll('a[href]')) {
+    const href = anchor.getAttribute('href');
+    const isHitLink = /zur Vollanzeige/i.test(anchor.getAttribute('title') || '') || /singleHit\.do|showHit/.test(href);
+    const title = elementText(anchor);
+    // Cover images link to the same record - the title link is the one with text
+    if (!isHitLink || !title || seenHrefs.has(href)) continue;
+
+    seenHrefs.add(href);
+    links.push({ anchor, href, title });
+  }
+
+  const coinsBvids = [...doc.querySelectorAll('span.Z3988')]
+    .map(span => (span.getAttribute('title') || '').match(/(BV\d+)/))
+    .filter(Boolean)
+    .map(m => m[1]);
+  const positions = [...doc.querySelectorAll('a[href*="singleHit.do"]')]
+    .map(anchor => anchor.getAttribute('href').match(/[?&]curPos=(\d+)/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1], 10));
+
+  return links.map(({ anchor, href, title }) => {
+    // The row without its title link, as parseHitList() reads it
+    const row = (anchor.closest('tr') || anchor.parentElement).cloneNode(true);
+    const rowLink = [...row.querySelectorAll('a[href]')].find(link => link.getAttribute('href') === href && elementText(link));
+    if (rowLink) rowLink.remove();
+
+    const coinsSpan = row.querySelector('span.Z3988');
+    const coins = coinsSpan ? readCoins(coinsSpan.getAttribute('title') || '') : { bvid: null, year: null, authors: [] };
+    const rowText = elementText(row);
+    const yearMatch = rowText.match(/\b(1[89]\d{2}|20\d{2})\b/);
+    const directBvid = href.match(/(BV\d+)/);
+    const position = href.match(/[?&]curPos=(\d+)/);
+    const textMediaType = rowText.match(/DVD(?:-Video)?|Blu-?ray(?: Disc)?/i);
+
+    return {
+      title: title,
+      year: coins.year || (yearMatch ? yearMatch[1] : null),
+      mediaType: findElementIconLabel(row) || (textMediaType ? textMediaType[0] : null),
+      bvid: coins.bvid || (directBvid ? directBvid[1] : null) ||
+        (position ? bvidAtPosition(parseInt(position[1], 10), coinsBvids, positions) : null),
+      href: href,
+      authors: coins.authors,
+      availability: classifyCopyStatus(rowText)
+    };
+  });
+}
+
+/**
+ * Selector version of parseCopiesTable() for a parsed detail-view document
+ * @param {Document} doc - Detail view document
+ * @returns {Object[]} - [{ mediaType, callNumber, location, status, statusText }]
+ */
+function parseCopiesTableDocument(doc) {
+  for (const table of doc.querySelectorAll('table.data')) {
+    const headers = [...table.querySelectorAll('th')].map(elementText);
+    if (!headers.includes('Signatur') && !headers.includes('Status')) {
+      continue;
+    }
+
+    const copies = [];
+    for (const row of [...table.querySelectorAll('tr')].slice(1)) { // skip header row
+      const cells = [...row.children].filter(cell => cell.tagName === 'TD');
+      if (cells.length < 4) continue;
+
+      const statusText = elementText(cells[cells.length - 2]);
+      copies.push({
+        mediaType: findElementIconLabel(row),
+        callNumber: elementText(cells[0]),
+        location: elementText(cells[cells.length - 3]),
+        status: classifyCopyStatus(statusText),
+        statusText: statusText
+      });
+    }
+
+    return copies;
+  }
+
+  return [];
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    htmlToText,
+    parseHitList,
+    parseHitListDocument,
+    isDiscMediaType,
+    extractHitBvid,
+    parseCopiesTable,
+    parseCopiesTableDocument,
+    classifyCopyStatus,
+    summarizeAvailability
+  };
+}